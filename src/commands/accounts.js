@@ -0,0 +1,58 @@
+function parseAddArgs(text) {
+  const colon = text.indexOf(':');
+  if (colon !== -1) {
+    return {
+      name: text.slice(0, colon).trim(),
+      aliases: text.slice(colon + 1).split(','),
+    };
+  }
+
+  const [name, ...rest] = text.split(/\s+/);
+  const remainder = rest.join(' ');
+  return {
+    name,
+    aliases: remainder.includes(',') ? remainder.split(',') : rest,
+  };
+}
+
+function formatAccount({ name, aliases }) {
+  const extra = (aliases || []).filter((alias) => alias !== name);
+  return extra.length > 0 ? `- ${name} (${extra.join(', ')})` : `- ${name}`;
+}
+
+module.exports = {
+  name: 'accounts',
+  aliases: ['account'],
+  usage: '/accounts [list|add <name> <aliases>|remove <name>]',
+  description: 'List or manage payment accounts and their aliases',
+  async run({ args, context }) {
+    const { accountRegistry } = context;
+    const [action = 'list', ...rest] = args;
+    const text = rest.join(' ').trim();
+
+    switch (action.toLowerCase()) {
+      case 'list': {
+        const accounts = accountRegistry.list();
+        if (accounts.length === 0) {
+          return 'No accounts configured. Add one with /accounts add <name> <aliases>.';
+        }
+        return `Accounts:\n${accounts.map(formatAccount).join('\n')}`;
+      }
+      case 'add': {
+        if (!text) {
+          return 'Usage: /accounts add <name> <alias>, <alias> (use "name: alias, alias" for names with spaces)';
+        }
+        const { name, aliases } = parseAddArgs(text);
+        const account = await accountRegistry.add(name, aliases);
+        return `Saved account:\n${formatAccount(account)}`;
+      }
+      case 'remove':
+      case 'delete': {
+        const removed = await accountRegistry.remove(text);
+        return removed ? `Removed account ${removed}.` : `No account matches "${text}".`;
+      }
+      default:
+        return `Unknown action "${action}". ${module.exports.usage}`;
+    }
+  },
+};
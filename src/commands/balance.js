@@ -0,0 +1,62 @@
+const { computeBalances, formatBalances } = require('../services/balances');
+const { countUnconverted } = require('../services/rowSchema');
+const { formatDateFromTimestamp } = require('../utils/date');
+const { formatAmount } = require('../utils/format');
+const { parseAmount } = require('../utils/amount');
+
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+async function setOpeningBalance(tokens, context) {
+  const { config, accountRegistry } = context;
+  const since = ISO_DATE_REGEX.test(tokens[tokens.length - 1] || '')
+    ? tokens.pop()
+    : formatDateFromTimestamp(Date.now(), config.defaults.timezone);
+  const amount = parseAmount(tokens.pop(), config.defaults);
+  const name = tokens.join(' ');
+
+  if (amount === null || !name) {
+    return 'Usage: /balance set <account> <amount> [YYYY-MM-DD]';
+  }
+
+  const account = await accountRegistry.setOpeningBalance(name, amount, since);
+  if (!account) {
+    return `Unknown account "${name}". See /accounts list.`;
+  }
+  return `Opening balance of ${account.name} set to ${formatAmount(
+    amount,
+    config.defaults.currency
+  )} as of ${since}. Rows dated before ${since} no longer affect its balance.`;
+}
+
+module.exports = {
+  name: 'balance',
+  aliases: ['balances', 'saldo'],
+  usage: '/balance [account] | /balance set <account> <amount> [YYYY-MM-DD]',
+  description: 'Running balance per account, or set an opening balance',
+  async run({ args, context }) {
+    const { config, sheetsService, accountRegistry } = context;
+
+    if ((args[0] || '').toLowerCase() === 'set') {
+      return setOpeningBalance(args.slice(1), context);
+    }
+
+    let account = null;
+    if (args.length > 0) {
+      account = accountRegistry.normalize(args.join(' '));
+      if (!account) {
+        return `Unknown account "${args.join(' ')}". See /accounts list.`;
+      }
+    }
+
+    const { currency } = config.defaults;
+    const records = await sheetsService.listExpenses();
+    const balances = computeBalances(records, accountRegistry.list(), { currency });
+    const relevant = account
+      ? records.filter((record) => record.account === account || record.toAccount === account)
+      : records;
+    return formatBalances(balances, currency, {
+      account,
+      unconverted: countUnconverted(relevant, currency),
+    });
+  },
+};
@@ -0,0 +1,69 @@
+const { extractAccountDirective } = require('../utils/directives');
+const { formatDateFromTimestamp } = require('../utils/date');
+const { formatAmount } = require('../utils/format');
+const { parseAmount } = require('../utils/amount');
+const { monthRange } = require('../services/summary');
+
+const REMOVE_KEYWORDS = ['off', 'remove', 'none'];
+
+function parseLimit(token, defaults) {
+  if (REMOVE_KEYWORDS.includes(token.toLowerCase())) {
+    return 0;
+  }
+  const parsed = parseAmount(token, defaults);
+  return parsed !== null && parsed >= 0 ? parsed : null;
+}
+
+module.exports = {
+  name: 'budget',
+  aliases: ['budgets'],
+  usage: '/budget [category] [amount|off] [acc:<account>]',
+  description: 'Show budgets or set a monthly limit (e.g. /budget food 1500000)',
+  async run({ args, context }) {
+    const { config, sheetsService, budgetService, accountRegistry, categoryClassifier } = context;
+    const { accountOverride, cleanedText } = extractAccountDirective(args.join(' '));
+    const tokens = cleanedText ? cleanedText.split(/\s+/) : [];
+
+    if (tokens.length === 0 && !accountOverride) {
+      const month = formatDateFromTimestamp(Date.now(), config.defaults.timezone).slice(0, 7);
+      const expenses = await sheetsService.listExpenses(monthRange(month));
+      return budgetService.formatStatus(expenses, month);
+    }
+
+    const limit = tokens.length > 0 ? parseLimit(tokens[tokens.length - 1], config.defaults) : null;
+    if (limit === null) {
+      return 'Usage: /budget <category> <amount> [acc:<account>], or /budget <category> off to remove it.';
+    }
+
+    const name = tokens.slice(0, -1).join(' ') || null;
+    if (!name && !accountOverride) {
+      return 'Please name a category or an account (acc:<account>) for the budget.';
+    }
+
+    // Budgets match rows by category, so only known categories can be set.
+    // Removing still takes the name as typed, for budgets saved before that.
+    const category = name && (categoryClassifier.normalize(name) || (limit === 0 ? name : null));
+    if (name && !category) {
+      return `Unknown category "${name}". Use one of: ${categoryClassifier.list().join(', ')}.`;
+    }
+
+    const account = accountOverride ? accountRegistry.normalize(accountOverride) : null;
+    if (accountOverride && !account) {
+      return `Unknown account "${accountOverride}". See /accounts list.`;
+    }
+
+    const budget = await budgetService.setBudget({
+      category,
+      account,
+      limit,
+    });
+    const label = [budget.category, budget.account && `acc:${budget.account}`]
+      .filter(Boolean)
+      .join(' ');
+
+    if (limit === 0) {
+      return `Removed the monthly budget for ${label}.`;
+    }
+    return `Monthly budget for ${label} set to ${formatAmount(limit, config.defaults.currency)}.`;
+  },
+};
@@ -0,0 +1,95 @@
+const logger = require('../utils/logger');
+const summaryCommand = require('./summary');
+const budgetCommand = require('./budget');
+const pendingCommand = require('./pending');
+const accountsCommand = require('./accounts');
+const balanceCommand = require('./balance');
+const reconcileCommand = require('./reconcile');
+const rateCommand = require('./rate');
+const owesCommand = require('./owes');
+const settleCommand = require('./settle');
+const recurringCommand = require('./recurring');
+
+const COMMAND_PREFIX = '/';
+
+class CommandRouter {
+  constructor(context) {
+    this.context = context;
+    this.commands = new Map();
+    this.ordered = [];
+  }
+
+  register(command) {
+    this.ordered.push(command);
+    for (const name of [command.name, ...(command.aliases || [])]) {
+      this.commands.set(name, command);
+    }
+    return this;
+  }
+
+  isCommand(text) {
+    return typeof text === 'string' && text.trim().startsWith(COMMAND_PREFIX);
+  }
+
+  parse(text) {
+    const [rawName, ...args] = text.trim().slice(COMMAND_PREFIX.length).split(/\s+/);
+    return {
+      name: (rawName || '').toLowerCase(),
+      args: args.filter(Boolean),
+    };
+  }
+
+  // Resolves to the reply text for a command message. Unknown commands get
+  // the help text rather than falling through to the expense parser.
+  // `invocation.context` overrides parts of the shared context for this
+  // message, e.g. the log its chat is routed to.
+  async dispatch(text, invocation = {}) {
+    const { context: overrides, ...rest } = invocation;
+    const { name, args } = this.parse(text);
+    const command = this.commands.get(name);
+
+    if (!command) {
+      logger.info('Commands', `Unknown command "/${name}"`);
+      return `Unknown command "/${name}".\n\n${this.buildHelp()}`;
+    }
+
+    logger.info('Commands', `Running /${command.name} with args [${args.join(', ')}]`);
+    try {
+      return await command.run({ ...rest, args, context: { ...this.context, ...overrides } });
+    } catch (error) {
+      logger.error('Commands', `Command /${command.name} failed`, error);
+      return `Could not run /${command.name}. Please try again later.`;
+    }
+  }
+
+  buildHelp() {
+    const lines = this.ordered.map((command) => `${command.usage} – ${command.description}`);
+    return `Available commands:\n${lines.join('\n')}`;
+  }
+}
+
+function createCommandRouter(context) {
+  const router = new CommandRouter(context);
+  router.register(summaryCommand);
+  router.register(budgetCommand);
+  router.register(pendingCommand);
+  router.register(accountsCommand);
+  router.register(balanceCommand);
+  router.register(reconcileCommand);
+  router.register(rateCommand);
+  router.register(owesCommand);
+  router.register(settleCommand);
+  router.register(recurringCommand);
+  router.register({
+    name: 'help',
+    usage: '/help',
+    description: 'List available commands',
+    run: async () => router.buildHelp(),
+  });
+  return router;
+}
+
+module.exports = {
+  CommandRouter,
+  createCommandRouter,
+};
@@ -0,0 +1,43 @@
+const { formatAmount } = require('../utils/format');
+
+// "/owes alias andy = andi" makes both names count as one person, in old
+// entries as well as new ones.
+async function addAlias(text, splitLedger) {
+  const [alias, person] = text.split('=').map((part) => part.trim());
+  if (!alias || !person) {
+    return 'Usage: /owes alias <name> = <person>';
+  }
+  const key = await splitLedger.addAlias(alias, person);
+  if (!key) {
+    return `${alias} and ${person} are already the same person.`;
+  }
+  return `"${alias.toLowerCase()}" now counts as ${key} in /owes and /settle.`;
+}
+
+module.exports = {
+  name: 'owes',
+  aliases: ['hutang', 'utang'],
+  usage: '/owes [person] | /owes alias <name> = <person>',
+  description: 'Show who owes whom from split expenses in this chat',
+  async run({ args, context }) {
+    const { config, splitLedger, chatId } = context;
+    if ((args[0] || '').toLowerCase() === 'alias') {
+      return addAlias(args.slice(1).join(' '), splitLedger);
+    }
+
+    const person = splitLedger.personKey(args.join(' '));
+    const balances = splitLedger
+      .balances(chatId)
+      .filter(({ debtor, creditor }) => !person || debtor === person || creditor === person);
+
+    if (balances.length === 0) {
+      return person ? `${person} is all settled up.` : 'Everyone is settled up.';
+    }
+
+    const lines = balances.map(
+      ({ debtor, creditor, amount }) =>
+        `- ${debtor} owes ${creditor} ${formatAmount(amount, config.defaults.currency)}`
+    );
+    return `Open balances:\n${lines.join('\n')}`;
+  },
+};
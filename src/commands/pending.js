@@ -0,0 +1,39 @@
+function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  if (minutes < 1) {
+    return 'under a minute';
+  }
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+module.exports = {
+  name: 'pending',
+  aliases: ['queue'],
+  usage: '/pending',
+  description: 'Show messages and rows still waiting to be written',
+  async run({ context }) {
+    const entries = context.outbox.list();
+    if (entries.length === 0) {
+      return 'Nothing pending. Every message has been recorded.';
+    }
+
+    const now = Date.now();
+    const lines = entries.map((entry, index) => {
+      const kind =
+        entry.kind === 'parse'
+          ? 'waiting for parser'
+          : entry.kind === 'mirror'
+            ? 'waiting for Google Sheets mirror'
+            : 'waiting for log';
+      const retry =
+        entry.nextAttemptAt > now ? `next retry in ${formatDuration(entry.nextAttemptAt - now)}` : 'retrying now';
+      const error = entry.lastError ? `, last error: ${entry.lastError.slice(0, 80)}` : '';
+      return `${index + 1}. ${entry.label} – ${kind}, ${entry.attempts} attempt(s), ${retry}${error}`;
+    });
+
+    return `${entries.length} pending item(s), retried in order:\n${lines.join('\n')}`;
+  },
+};
@@ -0,0 +1,64 @@
+const { formatAmount } = require('../utils/format');
+const { parseAmount } = require('../utils/amount');
+
+const REMOVE_KEYWORDS = ['off', 'remove', 'reset'];
+
+function parseRate(token, defaults) {
+  const parsed = parseAmount(token, defaults);
+  return parsed !== null && parsed > 0 ? parsed : null;
+}
+
+module.exports = {
+  name: 'rate',
+  aliases: ['rates', 'kurs'],
+  usage: '/rate [currency] [rate|off]',
+  description: 'Show exchange rates or override one (e.g. /rate SGD 11800)',
+  async run({ args, context }) {
+    const { config, currencyConverter } = context;
+    const base = config.defaults.currency;
+    const [currencyArg, rateArg] = args;
+
+    if (!currencyArg) {
+      const rates = currencyConverter.listRates();
+      if (rates.length === 0) {
+        return `No exchange rates yet. Add one with /rate <currency> <rate in ${base}>.`;
+      }
+      const lines = rates.map(
+        ({ currency, rate, override }) =>
+          `- 1 ${currency} = ${formatAmount(rate, base)}${override ? ' (set from chat)' : ''}`
+      );
+      return `Exchange rates to ${base}:\n${lines.join('\n')}`;
+    }
+
+    const currency = currencyArg.toUpperCase();
+    if (!rateArg) {
+      const rate = currencyConverter.getRate(currency);
+      return rate === null
+        ? `No exchange rate for ${currency}. Set one with /rate ${currency} <rate in ${base}>.`
+        : `1 ${currency} = ${formatAmount(rate, base)}`;
+    }
+
+    if (REMOVE_KEYWORDS.includes(rateArg.toLowerCase())) {
+      const removed = await currencyConverter.clearRate(currency);
+      if (!removed) {
+        return `There is no chat override for ${currency}.`;
+      }
+      const fallback = currencyConverter.getRate(currency);
+      return fallback === null
+        ? `Removed the ${currency} rate.`
+        : `Removed the ${currency} override; using the rates file: 1 ${currency} = ${formatAmount(fallback, base)}.`;
+    }
+
+    const rate = parseRate(rateArg, config.defaults);
+    if (rate === null) {
+      return `Usage: ${module.exports.usage}`;
+    }
+
+    try {
+      await currencyConverter.setRate(currency, rate);
+    } catch (error) {
+      return error.message;
+    }
+    return `Exchange rate set: 1 ${currency} = ${formatAmount(rate, base)}. It applies to expenses logged from now on.`;
+  },
+};
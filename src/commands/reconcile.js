@@ -0,0 +1,68 @@
+const { computeBalances } = require('../services/balances');
+const { formatDateFromTimestamp } = require('../utils/date');
+const { formatAmount } = require('../utils/format');
+const { parseAmount } = require('../utils/amount');
+
+// Records the difference between the real balance and the computed one as an
+// adjustment row. The row carries the command's message ID, so replying
+// "undo" to the command removes it again.
+module.exports = {
+  name: 'reconcile',
+  usage: '/reconcile <account> <actual balance>',
+  description: 'Record an adjustment so an account matches its real balance',
+  async run({ args, context, message }) {
+    const { config, sheetsService, accountRegistry, loggedBy } = context;
+    const tokens = [...args];
+    const actual = parseAmount(tokens.pop(), config.defaults);
+    const name = tokens.join(' ');
+
+    if (actual === null || !name) {
+      return `Usage: ${module.exports.usage} (e.g. /reconcile bca 1250000)`;
+    }
+
+    const account = accountRegistry.normalize(name);
+    if (!account) {
+      return `Unknown account "${name}". See /accounts list.`;
+    }
+
+    const { currency, timezone } = config.defaults;
+    const records = await sheetsService.listExpenses();
+    const computed = computeBalances(records, accountRegistry.list(), { currency }).get(account);
+    const current = computed ? computed.balance : 0;
+    const difference = Math.round((actual - current) * 100) / 100;
+
+    if (difference === 0) {
+      return `${account} already matches: ${formatAmount(actual, currency)}.`;
+    }
+
+    const timestampMs = message?.timestamp ? message.timestamp * 1000 : Date.now();
+    await sheetsService.appendExpenses(
+      [
+        {
+          type: 'adjustment',
+          date: formatDateFromTimestamp(timestampMs, timezone),
+          description: 'Balance adjustment',
+          // Not spending, so no category; breakdowns only count expenses.
+          category: null,
+          amount: difference,
+          currency,
+          merchant: null,
+          account,
+          toAccount: null,
+          exchangeRate: 1,
+        },
+      ],
+      {
+        messageId: message?.id?._serialized,
+        source: 'command',
+        timestampMs,
+        loggedBy,
+      }
+    );
+
+    return `Adjusted ${account} by ${formatAmount(difference, currency)} (was ${formatAmount(
+      current,
+      currency
+    )}, now ${formatAmount(actual, currency)}).`;
+  },
+};
@@ -0,0 +1,139 @@
+const { extractAccountDirective } = require('../utils/directives');
+const { formatDateFromTimestamp, parseWeekday } = require('../utils/date');
+const { parseAmount } = require('../utils/amount');
+const { detectCategory } = require('../services/fallbackParser');
+const { describeItem, describeSchedule } = require('../services/recurring');
+
+const FREQUENCY_NAMES = {
+  monthly: 'monthly',
+  bulanan: 'monthly',
+  weekly: 'weekly',
+  mingguan: 'weekly',
+};
+const ADD_USAGE =
+  'Usage: /recurring add <description> <amount> <monthly [day]|weekly [weekday]> [acc:<account>]';
+// "~500k" marks an amount that is only an estimate, e.g. a utility bill.
+const ESTIMATE_PREFIX = '~';
+
+// Day of the month ("1", "1st", "15th") or a weekday name. Without one the
+// schedule follows today's date.
+function parseScheduleDay(frequency, token, today) {
+  const [year, month, day] = today.split('-').map((part) => Number.parseInt(part, 10));
+  if (frequency === 'weekly') {
+    return token ? parseWeekday(token) : new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  }
+  if (!token) {
+    return day;
+  }
+  const match = /^(\d{1,2})(?:st|nd|rd|th)?$/i.exec(token);
+  const parsed = match ? Number.parseInt(match[1], 10) : null;
+  return parsed >= 1 && parsed <= 31 ? parsed : null;
+}
+
+function formatList(items) {
+  if (items.length === 0) {
+    return 'No recurring expenses yet. Add one with /recurring add rent 5000000 monthly 1';
+  }
+  const lines = items.map(
+    (item, index) =>
+      `${index + 1}. ${describeItem(item)}, ${describeSchedule(item)}${
+        item.account ? ` (acc:${item.account})` : ''
+      } – next ${item.nextDue}${item.skipNext ? ' (skipped)' : ''}`
+  );
+  return `Recurring expenses:\n${lines.join('\n')}`;
+}
+
+async function addItem(tokens, context) {
+  const { config, recurringService, accountRegistry, categoryClassifier, chatId, target, loggedBy } = context;
+  const { accountOverride, cleanedText } = extractAccountDirective(tokens.join(' '));
+  const words = cleanedText ? cleanedText.split(/\s+/) : [];
+
+  const frequencyIndex = words.findIndex((word) => FREQUENCY_NAMES[word.toLowerCase()]);
+  if (frequencyIndex < 2 || words.length > frequencyIndex + 2) {
+    return ADD_USAGE;
+  }
+
+  const frequency = FREQUENCY_NAMES[words[frequencyIndex].toLowerCase()];
+  const today = formatDateFromTimestamp(Date.now(), config.defaults.timezone);
+  const day = parseScheduleDay(frequency, words[frequencyIndex + 1], today);
+  if (day === null) {
+    return frequency === 'weekly'
+      ? `Unknown weekday "${words[frequencyIndex + 1]}".`
+      : 'The day of the month must be between 1 and 31.';
+  }
+
+  const amountToken = words[frequencyIndex - 1];
+  const estimate = amountToken.startsWith(ESTIMATE_PREFIX);
+  const amount = parseAmount(estimate ? amountToken.slice(ESTIMATE_PREFIX.length) : amountToken, config.defaults);
+  if (amount === null || amount <= 0) {
+    return ADD_USAGE;
+  }
+
+  const account = accountOverride ? accountRegistry.normalize(accountOverride) : null;
+  if (accountOverride && !account) {
+    return `Unknown account "${accountOverride}". See /accounts list.`;
+  }
+
+  const description = words.slice(0, frequencyIndex - 1).join(' ');
+  const category = await categoryClassifier.classify({
+    type: 'expense',
+    description,
+    merchant: null,
+    category: detectCategory(description, 'expense'),
+  });
+
+  const item = await recurringService.add({
+    chatId,
+    target,
+    loggedBy,
+    description: description.charAt(0).toUpperCase() + description.slice(1),
+    amount,
+    currency: config.defaults.currency,
+    category,
+    account,
+    estimate,
+    frequency,
+    day,
+  });
+  return `Added ${describeItem(item)} (${item.category}), ${describeSchedule(item)}. First logged on ${item.nextDue}.`;
+}
+
+// Bills and subscriptions that are logged automatically when they fall due.
+// Items belong to the chat they were added in and are logged to that chat's
+// log; `skip` and `remove` take the item's number in the list or its name.
+module.exports = {
+  name: 'recurring',
+  aliases: ['rutin'],
+  usage: '/recurring [add|skip|remove]',
+  description: 'Log bills and subscriptions automatically (e.g. /recurring add rent 5000000 monthly 1)',
+  async run({ args, context }) {
+    const { recurringService, chatId } = context;
+    const [action = 'list', ...rest] = args;
+
+    switch (action.toLowerCase()) {
+      case 'list':
+        return formatList(recurringService.list(chatId));
+      case 'add':
+        return addItem(rest, context);
+      case 'skip':
+      case 'remove':
+      case 'delete': {
+        const item = rest.length > 0 ? recurringService.find(chatId, rest.join(' ')) : null;
+        if (!item) {
+          return `No recurring expense "${rest.join(' ')}". See /recurring for the list.`;
+        }
+        if (action.toLowerCase() === 'skip') {
+          if (item.skipNext) {
+            return `${item.description} on ${item.nextDue} is already skipped.`;
+          }
+          await recurringService.skip(item.id);
+          return `Skipping ${item.description} on ${item.nextDue}; it is logged again after that.`;
+        }
+        await recurringService.remove(item.id);
+        return `Removed ${item.description} from recurring expenses.`;
+      }
+      default:
+        return `${ADD_USAGE}\nor /recurring skip|remove <number|name>`;
+    }
+  },
+};
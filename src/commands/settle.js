@@ -0,0 +1,58 @@
+const { formatAmount } = require('../utils/format');
+const { parseAmount } = require('../utils/amount');
+
+// Settles up between the sender and another person in whichever direction
+// the debt runs. Without an amount the whole balance is settled.
+module.exports = {
+  name: 'settle',
+  aliases: ['lunas'],
+  usage: '/settle <person> [amount]',
+  description: 'Record a payment that settles a split debt (e.g. /settle andi 100k)',
+  async run({ args, context, message }) {
+    const { config, splitLedger, chatId, loggedBy } = context;
+    const { currency } = config.defaults;
+    const tokens = [...args];
+    const amountArg = tokens.length > 1 ? parseAmount(tokens[tokens.length - 1], config.defaults) : null;
+    if (amountArg !== null) {
+      tokens.pop();
+    }
+    const person = splitLedger.personKey(tokens.join(' '));
+    const self = splitLedger.personKey(loggedBy);
+
+    if (!person) {
+      return `Usage: ${module.exports.usage}`;
+    }
+    if (person === self) {
+      return 'Name the person you are settling up with.';
+    }
+    if (amountArg !== null && amountArg <= 0) {
+      return 'The amount must be positive.';
+    }
+
+    const owedToSelf = splitLedger.balanceBetween(chatId, person, self);
+    if (owedToSelf === 0) {
+      return `There is no open balance between you and ${person}.`;
+    }
+
+    const open = Math.abs(owedToSelf);
+    const amount = amountArg === null ? open : amountArg;
+    if (amount > open + 0.005) {
+      return `Only ${formatAmount(open, currency)} is open between you and ${person}.`;
+    }
+
+    const [from, to] = owedToSelf > 0 ? [person, self] : [self, person];
+    await splitLedger.recordSettlement({
+      chatId,
+      from,
+      to,
+      amount,
+      currency,
+      messageId: message?.id?._serialized,
+    });
+
+    const remaining = Math.round((open - amount) * 100) / 100;
+    return `Recorded: ${from} paid ${to} ${formatAmount(amount, currency)}. ${
+      remaining > 0 ? `Still open: ${formatAmount(remaining, currency)}.` : 'All settled.'
+    }`;
+  },
+};
@@ -0,0 +1,19 @@
+const {
+  monthRange,
+  parseSummaryArgs,
+  summarizeExpenses,
+  formatSummary,
+} = require('../services/summary');
+
+module.exports = {
+  name: 'summary',
+  usage: '/summary [month] [category|account]',
+  description: 'Totals by category, account and day (e.g. /summary march, /summary food)',
+  async run({ args, context }) {
+    const { config, sheetsService } = context;
+    const filter = parseSummaryArgs(args, { timezone: config.defaults.timezone });
+    const expenses = await sheetsService.listExpenses(monthRange(filter.month));
+    const summary = summarizeExpenses(expenses, { ...filter, currency: config.defaults.currency });
+    return formatSummary(summary, config.defaults.currency);
+  },
+};
@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
+const { getDateOrder } = require('./utils/dateText');
 
 dotenv.config();
 
@@ -59,10 +60,13 @@ function resolveServiceAccount(rawValue) {
   }
 }
 
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
 const config = {
   gemini: {
     apiKey: process.env.GEMINI_API_KEY,
     model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    extractionMode: process.env.GEMINI_EXTRACTION_MODE === 'single' ? 'single' : 'multiple',
   },
   googleSheets: {
     spreadsheetId: process.env.GOOGLE_SHEETS_ID,
@@ -70,9 +74,42 @@ const config = {
     serviceAccount: resolveServiceAccount(process.env.GOOGLE_SERVICE_ACCOUNT_JSON),
   },
   localCsvPath: process.env.LOCAL_CSV_PATH || path.join(process.cwd(), 'data/expenses.csv'),
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'sheets',
+    sqlitePath: process.env.SQLITE_PATH || path.join(dataDir, 'expenses.db'),
+    mirrorToSheets: parseBoolean(process.env.SQLITE_MIRROR_TO_SHEETS, true),
+  },
+  dataDir,
+  statePath: process.env.STATE_PATH || path.join(dataDir, 'state.json'),
+  budgetsPath: process.env.BUDGETS_PATH || path.join(dataDir, 'budgets.json'),
+  accountsPath: process.env.ACCOUNTS_PATH || path.join(dataDir, 'accounts.json'),
+  ratesPath: process.env.RATES_PATH || path.join(dataDir, 'rates.json'),
+  routesPath: process.env.ROUTES_PATH || path.join(dataDir, 'routes.json'),
+  splitsPath: process.env.SPLITS_PATH || path.join(dataDir, 'splits.json'),
+  recurring: {
+    path: process.env.RECURRING_PATH || path.join(dataDir, 'recurring.json'),
+    time: process.env.RECURRING_TIME || '09:00',
+  },
+  categories: {
+    path: process.env.CATEGORIES_PATH || path.join(dataDir, 'categories.json'),
+    list: parseList(process.env.CATEGORIES),
+  },
+  outbox: {
+    path: process.env.OUTBOX_PATH || path.join(dataDir, 'outbox.json'),
+    mediaDir: path.join(dataDir, 'outbox-media'),
+    baseDelayMs: parseInteger(process.env.OUTBOX_RETRY_BASE_SECONDS, 30) * 1000,
+    maxDelayMs: parseInteger(process.env.OUTBOX_RETRY_MAX_SECONDS, 1800) * 1000,
+  },
   defaults: {
     currency: process.env.DEFAULT_CURRENCY || 'USD',
     timezone: process.env.DEFAULT_TIMEZONE || 'UTC',
+    locale: process.env.DEFAULT_LOCALE || 'en-US',
+  },
+  dates: {
+    order: ['DMY', 'MDY'].includes((process.env.DATE_ORDER || '').toUpperCase())
+      ? process.env.DATE_ORDER.toUpperCase()
+      : getDateOrder(process.env.DEFAULT_LOCALE || 'en-US'),
+    maxPastDays: parseInteger(process.env.DATE_MAX_PAST_DAYS, 90),
   },
   whatsapp: {
     allowedChatIds: parseList(process.env.ALLOWED_CHAT_IDS),
@@ -80,6 +117,31 @@ const config = {
     replyEnabled: parseBoolean(process.env.WHATSAPP_REPLY_ENABLED, false),
     chatLogLimit: parseInteger(process.env.WHATSAPP_CHAT_LOG_LIMIT, 10),
     selfMessagesOnly: parseBoolean(process.env.WHATSAPP_SELF_MESSAGES_ONLY, true),
+    backfillEnabled: parseBoolean(process.env.WHATSAPP_BACKFILL_ENABLED, true),
+    backfillLimit: parseInteger(process.env.WHATSAPP_BACKFILL_LIMIT, 50),
+    backfillMaxAgeHours: parseInteger(process.env.WHATSAPP_BACKFILL_MAX_AGE_HOURS, 48),
+  },
+  dedupe: {
+    processedPath: process.env.PROCESSED_MESSAGES_PATH || path.join(dataDir, 'processed.json'),
+    retentionDays: parseInteger(process.env.PROCESSED_RETENTION_DAYS, 30),
+    duplicateWindowMinutes: parseInteger(process.env.DUPLICATE_WINDOW_MINUTES, 120),
+  },
+  pendingActions: {
+    path: process.env.PENDING_ACTIONS_PATH || path.join(dataDir, 'pending.json'),
+    timeoutMinutes: parseInteger(process.env.CONFIRMATION_TIMEOUT_MINUTES, 30),
+    draftTimeoutMinutes: parseInteger(process.env.DRAFT_TIMEOUT_MINUTES, 10),
+  },
+  http: {
+    enabled: parseBoolean(process.env.HTTP_ENABLED, false),
+    host: process.env.HTTP_HOST || '127.0.0.1',
+    port: parseInteger(process.env.HTTP_PORT, 3000),
+    token: process.env.HTTP_TOKEN || '',
+  },
+  digest: {
+    chatId: process.env.DIGEST_CHAT_ID || '',
+    dailyTime: process.env.DIGEST_DAILY_TIME || '',
+    weeklyTime: process.env.DIGEST_WEEKLY_TIME || '',
+    weeklyDay: process.env.DIGEST_WEEKLY_DAY || 'sunday',
   },
 };
 
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { formatDateFromTimestamp } = require('../utils/date');
+const { monthRange, summarizeExpenses } = require('../services/summary');
+
+const DASHBOARD_PATH = path.join(__dirname, 'dashboard.html');
+// Receipt photos and PDFs are sent base64-encoded inside JSON.
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const DEFAULT_LIST_LIMIT = 100;
+const MONTH_REGEX = /^\d{4}-\d{2}$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MEDIA_TYPE_REGEX = /^(?:image\/|audio\/|application\/pdf$)/;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(response, status, body) {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  response.end(JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body is too large'));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+// Accepts JSON ({ text, image: { data, mimeType }, loggedBy }) or a raw
+// image/audio/PDF body with an optional `text` query parameter, which is
+// what an iOS Shortcut "Get Contents of URL" action sends most easily.
+async function readSubmission(request, query) {
+  const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const body = await readBody(request);
+
+  if (MEDIA_TYPE_REGEX.test(contentType)) {
+    return {
+      text: query.get('text') || '',
+      media: { base64Data: body.toString('base64'), mimeType: contentType },
+      loggedBy: query.get('loggedBy'),
+    };
+  }
+
+  let payload;
+  if (contentType === 'application/json') {
+    try {
+      payload = JSON.parse(body.toString('utf8') || '{}');
+    } catch (error) {
+      throw httpError(400, 'Request body is not valid JSON');
+    }
+  } else {
+    payload = { text: body.toString('utf8') };
+  }
+
+  const image = payload.image || payload.media;
+  if (image && (!image.data || !MEDIA_TYPE_REGEX.test(image.mimeType || ''))) {
+    throw httpError(400, 'Media needs base64 "data" and an image, audio or PDF "mimeType"');
+  }
+  return {
+    text: typeof payload.text === 'string' ? payload.text : '',
+    media: image ? { base64Data: image.data, mimeType: image.mimeType } : null,
+    loggedBy: payload.loggedBy || query.get('loggedBy'),
+  };
+}
+
+// Row filters shared by the list and summary endpoints. `month` or
+// `from`/`to` select dates; `category`, `account` and `type` match exactly
+// (case-insensitive) and `q` searches the description and merchant.
+function filterRecords(records, query) {
+  const month = query.get('month');
+  const from = query.get('from');
+  const to = query.get('to');
+  for (const [name, value, pattern] of [
+    ['month', month, MONTH_REGEX],
+    ['from', from, DATE_REGEX],
+    ['to', to, DATE_REGEX],
+  ]) {
+    if (value && !pattern.test(value)) {
+      throw httpError(400, `Invalid ${name} "${value}"`);
+    }
+  }
+
+  const exact = ['category', 'account', 'type']
+    .map((field) => [field, (query.get(field) || '').toLowerCase()])
+    .filter(([, value]) => value);
+  const search = (query.get('q') || '').toLowerCase();
+
+  return records.filter(
+    (record) =>
+      (!month || record.date.startsWith(month)) &&
+      (!from || record.date >= from) &&
+      (!to || record.date <= to) &&
+      exact.every(([field, value]) => String(record[field] || '').toLowerCase() === value) &&
+      (!search ||
+        `${record.description} ${record.merchant || ''}`.toLowerCase().includes(search))
+  );
+}
+
+// The date part of the filters, passed on to the log so a SQLite log only
+// reads the rows it needs.
+function queryRange(query) {
+  const month = query.get('month');
+  return month ? monthRange(month) : { from: query.get('from'), to: query.get('to') };
+}
+
+function sortedTotals(map) {
+  return [...map.entries()]
+    .sort(([, left], [, right]) => right - left)
+    .map(([label, amount]) => ({ label, amount: Math.round(amount * 100) / 100 }));
+}
+
+// A small HTTP API next to the WhatsApp client: post expenses from scripts or
+// iOS Shortcuts, read rows and summaries back, and a dashboard page.
+// `listExpenses` reads the rows of every log (the default one and each routed
+// one); `submitExpense` runs the same parse-and-record pipeline as a chat
+// message.
+class HttpApi {
+  constructor({ host, port, token, listExpenses, submitExpense, defaults }) {
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.readExpenses = listExpenses;
+    this.submitExpense = submitExpense;
+    this.defaults = defaults;
+    this.server = null;
+  }
+
+  start() {
+    if (this.server) {
+      return Promise.resolve();
+    }
+
+    this.server = http.createServer((request, response) => {
+      this.handle(request, response).catch((error) => {
+        const status = error.status || 500;
+        if (status >= 500) {
+          logger.error('HttpApi', `${request.method} ${request.url} failed`, error);
+        }
+        if (!response.headersSent) {
+          sendJson(response, status, { error: status >= 500 ? 'Internal error' : error.message });
+        } else {
+          response.end();
+        }
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        logger.info('HttpApi', `Listening on http://${this.host}:${this.server.address().port}`);
+        if (!this.token) {
+          logger.warn('HttpApi', 'HTTP_TOKEN is empty; the API accepts unauthenticated requests.');
+        }
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    const server = this.server;
+    this.server = null;
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  // The token can be sent as a bearer token or, for the dashboard link, as
+  // `?token=`.
+  isAuthorized(request, query) {
+    if (!this.token) {
+      return true;
+    }
+    const header = request.headers.authorization || '';
+    const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : query.get('token') || '';
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(provided);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  async handle(request, response) {
+    const url = new URL(request.url, 'http://localhost');
+    const query = url.searchParams;
+    const route = `${request.method} ${url.pathname.replace(/\/+$/, '') || '/'}`;
+
+    if (!this.isAuthorized(request, query)) {
+      throw httpError(401, 'Missing or invalid token');
+    }
+
+    switch (route) {
+      case 'GET /':
+      case 'GET /dashboard':
+        response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        response.end(fs.readFileSync(DASHBOARD_PATH));
+        return;
+      case 'GET /api/expenses':
+        sendJson(response, 200, await this.listExpenses(query));
+        return;
+      case 'POST /api/expenses':
+        await this.postExpense(request, response, query);
+        return;
+      case 'GET /api/summary':
+        sendJson(response, 200, await this.summarize(query));
+        return;
+      default:
+        throw httpError(404, `No route for ${route}`);
+    }
+  }
+
+  // Newest first across all logs (by date, then logging time), `limit` rows
+  // (default 100) after `offset`.
+  async listExpenses(query) {
+    const records = filterRecords(await this.readExpenses(queryRange(query)), query);
+    const limit = Number.parseInt(query.get('limit'), 10) || DEFAULT_LIST_LIMIT;
+    const offset = Number.parseInt(query.get('offset'), 10) || 0;
+    const newestFirst = [...records].sort(
+      (left, right) =>
+        (right.date || '').localeCompare(left.date || '') ||
+        (right.timestamp || '').localeCompare(left.timestamp || '')
+    );
+    return {
+      total: records.length,
+      expenses: newestFirst.slice(offset, offset + limit),
+    };
+  }
+
+  // Totals for one month (default: the current one) like /summary, with the
+  // same filters as the list endpoint.
+  async summarize(query) {
+    const month =
+      query.get('month') || formatDateFromTimestamp(Date.now(), this.defaults.timezone).slice(0, 7);
+    if (!MONTH_REGEX.test(month)) {
+      throw httpError(400, `Invalid month "${month}"`);
+    }
+    const records = filterRecords(await this.readExpenses(monthRange(month)), query);
+    const summary = summarizeExpenses(records, { month, term: null, currency: this.defaults.currency });
+    return {
+      month,
+      currency: this.defaults.currency,
+      count: summary.count,
+      total: Math.round(summary.total * 100) / 100,
+      byCategory: sortedTotals(summary.byCategory),
+      byAccount: sortedTotals(summary.byAccount),
+      byDay: [...summary.byDay.entries()]
+        .sort(([left], [right]) => left.localeCompare(right))
+        .map(([date, amount]) => ({ date, amount: Math.round(amount * 100) / 100 })),
+      unconverted: [...summary.unconverted.entries()].map(([code, count]) => ({ currency: code, count })),
+    };
+  }
+
+  async postExpense(request, response, query) {
+    const submission = await readSubmission(request, query);
+    if (!submission.text.trim() && !submission.media) {
+      throw httpError(400, 'Send "text" and/or an image, voice note or PDF');
+    }
+
+    logger.info(
+      'HttpApi',
+      `Received expense via HTTP (${submission.media ? submission.media.mimeType : 'text'})`
+    );
+    const result = await this.submitExpense(submission);
+    sendJson(response, result.status === 'queued' ? 202 : 201, result);
+  }
+}
+
+module.exports = HttpApi;
+module.exports.httpError = httpError;
@@ -1,9 +1,41 @@
+const crypto = require("crypto");
 const { Client, LocalAuth } = require("whatsapp-web.js");
 const qrcode = require("qrcode-terminal");
 const config = require("./config");
 const logger = require("./utils/logger");
-const SheetsService = require("./services/sheets");
+const { formatAmount } = require("./utils/format");
+const { AMOUNT_PATTERN, CURRENCY_PREFIX_PATTERN, parseAmount } = require("./utils/amount");
+const {
+  extractAccountDirective,
+  extractSplitDirective,
+} = require("./utils/directives");
+const { LogTargets, RoutingTable } = require("./services/routing");
 const ExpenseParser = require("./services/expenseParser");
+const AccountRegistry = require("./services/accounts");
+const CurrencyConverter = require("./services/currency");
+const CategoryClassifier = require("./services/categories");
+const SplitLedger = require("./services/splits");
+const RecurringService = require("./services/recurring");
+const { parseCorrectionCommand } = require("./services/corrections");
+const { isExpenseRecord, isUnconverted } = require("./services/rowSchema");
+const { createCommandRouter } = require("./commands");
+const Scheduler = require("./services/scheduler");
+const BudgetService = require("./services/budgets");
+const Outbox = require("./services/outbox");
+const ProcessedMessageStore = require("./services/processedMessages");
+const PendingActions = require("./services/pendingActions");
+const { findDuplicates } = require("./services/duplicates");
+const { PDF_MIME_TYPE, isPdf } = require("./services/pdfText");
+const { buildDailyDigest, buildWeeklyDigest } = require("./services/digest");
+const HttpApi = require("./http/server");
+const JsonStore = require("./utils/jsonStore");
+const {
+  formatDateFromTimestamp,
+  parseTimeOfDay,
+  parseWeekday,
+  shiftDate,
+} = require("./utils/date");
+const { checkDateRange, findDateInText } = require("./utils/dateText");
 
 if (!config.gemini.apiKey) {
   logger.error(
@@ -13,34 +45,160 @@ if (!config.gemini.apiKey) {
   process.exit(1);
 }
 
-const sheetsService = new SheetsService({
+const logTargets = new LogTargets({
   googleSheetsConfig: config.googleSheets,
   localCsvPath: config.localCsvPath,
+  storage: config.storage,
+  // Google Sheets mirror writes of the SQLite backend that failed are
+  // retried through the outbox.
+  mirrorRetries: {
+    pending: (log) =>
+      outbox.list().some((entry) => entry.kind === "mirror" && entry.payload.log === log),
+    enqueue: (payload) =>
+      outbox.enqueue("mirror", payload, { label: `${payload.action} for ${payload.log}` }),
+  },
 });
+// The default log, used for chats without a route of their own.
+const sheetsService = logTargets.get(null);
 
-const expenseParser = new ExpenseParser({ config });
+const routingTable = new RoutingTable({
+  store: new JsonStore(config.routesPath, { routes: [] }),
+});
 
-const ACCOUNT_OVERRIDE_REGEX = /\bacc:([a-z0-9 _-]+)/i;
-const ACCOUNT_OVERRIDE_STRIP_REGEX = /\bacc:[a-z0-9 _-]+/gi;
+// Rows from the default log and every routed log, for reports that are not
+// tied to one chat.
+function listAllExpenses(range) {
+  return logTargets.listAllExpenses(routingTable.targets(), range);
+}
 
-function extractAccountDirective(sourceText) {
-  if (!sourceText) {
-    return { accountOverride: null, cleanedText: '' };
-  }
+const accountRegistry = new AccountRegistry({
+  store: new JsonStore(config.accountsPath, {
+    accounts: AccountRegistry.DEFAULT_ACCOUNTS,
+  }),
+});
 
-  const match = ACCOUNT_OVERRIDE_REGEX.exec(sourceText);
-  const accountOverride = match ? match[1].trim() : null;
-  const cleanedText = sourceText
-    .replace(ACCOUNT_OVERRIDE_STRIP_REGEX, '')
-    .replace(/\s{2,}/g, ' ')
-    .trim();
+const currencyConverter = new CurrencyConverter({
+  store: new JsonStore(config.ratesPath, { rates: {}, overrides: {} }),
+  baseCurrency: config.defaults.currency,
+});
 
-  return {
-    accountOverride: accountOverride || null,
-    cleanedText,
-  };
+const categoryClassifier = new CategoryClassifier({
+  store: new JsonStore(config.categories.path, { corrections: {} }),
+  categories: config.categories.list,
+  loadHistory: () => listAllExpenses(),
+});
+
+const expenseParser = new ExpenseParser({
+  config,
+  accountRegistry,
+  currencyConverter,
+  categoryClassifier,
+});
+
+const processedMessages = new ProcessedMessageStore({
+  store: new JsonStore(config.dedupe.processedPath, { messages: {} }),
+  retentionDays: config.dedupe.retentionDays,
+});
+
+const pendingActions = new PendingActions({
+  store: new JsonStore(config.pendingActions.path, { actions: {} }),
+  ttlMs: config.pendingActions.timeoutMinutes * 60 * 1000,
+});
+
+const outbox = new Outbox({
+  store: new JsonStore(config.outbox.path, { entries: [] }),
+  mediaDir: config.outbox.mediaDir,
+  baseDelayMs: config.outbox.baseDelayMs,
+  maxDelayMs: config.outbox.maxDelayMs,
+  handlers: {
+    mirror: async ({ target, action, args }) => {
+      await logTargets.get(target).replayMirror(action, args);
+    },
+    append: async ({ expenses, metadata }) => {
+      const confirmation = await recordExpenses(expenses, metadata);
+      await confirmQueuedDelivery(metadata, confirmation);
+    },
+    parse: async (payload) => {
+      let expenses;
+      let metadata = payload.metadata;
+      try {
+        const prepared = await transcribeVoiceNote(payload.input, payload.metadata);
+        expenses = await expenseParser.parse(prepared.input);
+        metadata = prepared.metadata;
+      } catch (error) {
+        // Only outages are worth retrying; a message that parses but has no
+        // expense in it never will.
+        if (!error.retryable) {
+          error.retryable = false;
+        }
+        throw error;
+      }
+      // Nobody is waiting for a question about a queued message, so entries
+      // without an amount are dropped instead of drafted.
+      const complete = expenses.filter((expense) => !isDraft(expense));
+      if (complete.length === 0) {
+        const error = new Error("Queued message has no amount");
+        error.retryable = false;
+        throw error;
+      }
+      const confirmation = await recordExpenses(complete, metadata);
+      await confirmQueuedDelivery(metadata, confirmation);
+    },
+  },
+});
+
+const budgetService = new BudgetService({
+  store: new JsonStore(config.budgetsPath, { budgets: [] }),
+  currency: config.defaults.currency,
+});
+
+const splitLedger = new SplitLedger({
+  store: new JsonStore(config.splitsPath, { entries: [] }),
+});
+
+const recurringTime = parseTimeOfDay(config.recurring.time);
+if (!recurringTime) {
+  logger.warn(
+    "Recurring",
+    `Invalid RECURRING_TIME "${config.recurring.time}"; expected HH:MM. Using 09:00.`
+  );
 }
 
+const recurringService = new RecurringService({
+  store: new JsonStore(config.recurring.path, { items: [] }),
+  timezone: config.defaults.timezone,
+  time: recurringTime || { hour: 9, minute: 0 },
+  logTargets,
+  notify: (chatId, text) => sendChatMessage(chatId, text),
+});
+
+const commandRouter = createCommandRouter({
+  config,
+  sheetsService,
+  budgetService,
+  outbox,
+  accountRegistry,
+  currencyConverter,
+  categoryClassifier,
+  splitLedger,
+  recurringService,
+});
+
+const httpApi = new HttpApi({
+  host: config.http.host,
+  port: config.http.port,
+  token: config.http.token,
+  listExpenses: (range) => listAllExpenses(range),
+  submitExpense: (submission) => submitApiExpense(submission),
+  defaults: config.defaults,
+});
+
+const stateStore = new JsonStore(config.statePath, { lastRuns: {} });
+const scheduler = new Scheduler({
+  timezone: config.defaults.timezone,
+  store: stateStore,
+});
+
 let selfId = null;
 
 function refreshSelfId() {
@@ -93,59 +251,188 @@ const client = new Client({
   },
 });
 
-async function logAllowedChatHistories() {
-  const { allowedChatIds, chatLogLimit } = config.whatsapp;
+function logChatHistory(chatId, messages) {
+  const currentSelfId = selfId || "";
+  const ordered = [...messages].reverse();
+
+  for (const message of ordered) {
+    const timestamp = message.timestamp
+      ? new Date(message.timestamp * 1000).toISOString()
+      : "unknown";
+    const fromSelf = isMessageFromSelf(message);
+    const direction = fromSelf ? "outgoing" : "incoming";
+    const body = typeof message.body === "string" ? message.body : "";
+    const { cleanedText: sanitizedBody } = extractAccountDirective(body);
+    const previewSource = sanitizedBody || body;
+    const preview = previewSource.replace(/\s+/g, " ").trim();
+    const content = preview ? preview.slice(0, 200) : "[no text]";
+    const messageId = message.id?._serialized || "unknown";
+    const messageType = message.type || "unknown";
+    const mediaFlag = message.hasMedia ? "has-media" : "no-media";
+    const author = message.author || (fromSelf ? currentSelfId : message.from);
+    logger.info(
+      "ChatLog",
+      `[${chatId}] ${timestamp} ${direction} author=${author} id=${messageId} ${mediaFlag} type=${messageType} text=${content}`
+    );
+  }
+}
+
+function getHighWaterMarks() {
+  return stateStore.read().highWaterMarks || {};
+}
 
-  if (!allowedChatIds || allowedChatIds.length === 0) {
-    logger.info("ChatLog", "ALLOWED_CHAT_IDS is empty; no chat history to display.");
+// The newest message handled per chat. Backfill resumes after it.
+async function updateHighWaterMark(chatKey, message) {
+  const timestamp = message.timestamp || 0;
+  const current = getHighWaterMarks()[chatKey];
+  if (!chatKey || (current && current.timestamp > timestamp)) {
     return;
   }
 
-  const limit = Math.max(1, chatLogLimit || 10);
+  await stateStore.update((data) => {
+    data.highWaterMarks = {
+      ...(data.highWaterMarks || {}),
+      [chatKey]: { timestamp, messageId: message.id?._serialized || null },
+    };
+  });
+}
+
+// Messages newer than the chat's high-water mark (and not older than the
+// backfill age limit) that have not been handled yet, oldest first.
+function selectBackfillMessages(messages, mark) {
+  const oldestAllowed = Math.floor(Date.now() / 1000) - config.whatsapp.backfillMaxAgeHours * 3600;
+  return messages
+    .filter(
+      (message) =>
+        message.timestamp >= mark.timestamp &&
+        message.timestamp >= oldestAllowed &&
+        !processedMessages.has(message.id?._serialized)
+    )
+    .sort((left, right) => left.timestamp - right.timestamp);
+}
+
+// Runs on every "ready": logs recent history for ALLOWED_CHAT_IDS and replays
+// messages that arrived while the bot was offline. Without ALLOWED_CHAT_IDS,
+// every chat the bot has handled before is caught up.
+async function catchUpChatHistories() {
+  const { allowedChatIds, chatLogLimit, backfillEnabled, backfillLimit } = config.whatsapp;
+  const marks = getHighWaterMarks();
+  const routedChatIds = routingTable.list().map((route) => route.chat).filter(Boolean);
+  const chatIds =
+    allowedChatIds && allowedChatIds.length > 0
+      ? Array.from(new Set([...allowedChatIds, ...routedChatIds]))
+      : Object.keys(marks);
+
+  if (chatIds.length === 0) {
+    logger.info("ChatLog", "ALLOWED_CHAT_IDS is empty and no chat has been handled yet; nothing to catch up.");
+    return;
+  }
+
+  const logLimit = Math.max(1, chatLogLimit || 10);
+  const fetchLimit = backfillEnabled ? Math.max(logLimit, backfillLimit) : logLimit;
   refreshSelfId();
-  const currentSelfId = selfId || "";
 
-  for (const chatId of allowedChatIds) {
+  for (const chatId of chatIds) {
     try {
       const chat = await client.getChatById(chatId);
       const label = chat?.name || chatId;
       logger.info(
         "ChatLog",
-        `Fetching last ${limit} message(s) for chat ${label} (${chatId})`
+        `Fetching last ${fetchLimit} message(s) for chat ${label} (${chatId})`
       );
-      const messages = await chat.fetchMessages({ limit });
-      const ordered = [...messages].reverse();
-
-      for (const message of ordered) {
-        const timestamp = message.timestamp
-          ? new Date(message.timestamp * 1000).toISOString()
-          : "unknown";
-        const fromSelf = isMessageFromSelf(message);
-        const direction = fromSelf ? "outgoing" : "incoming";
-        const body = typeof message.body === "string" ? message.body : "";
-        const { cleanedText: sanitizedBody } = extractAccountDirective(body);
-        const previewSource = sanitizedBody || body;
-        const preview = previewSource.replace(/\s+/g, " ").trim();
-        const content = preview ? preview.slice(0, 200) : "[no text]";
-        const messageId = message.id?._serialized || "unknown";
-        const messageType = message.type || "unknown";
-        const mediaFlag = message.hasMedia ? "has-media" : "no-media";
-        const author = message.author || (fromSelf ? currentSelfId : message.from);
-        logger.info(
-          "ChatLog",
-          `[${chatId}] ${timestamp} ${direction} author=${author} id=${messageId} ${mediaFlag} type=${messageType} text=${content}`
+      const messages = await chat.fetchMessages({ limit: fetchLimit });
+      logChatHistory(chatId, messages.slice(-logLimit));
+
+      if (!backfillEnabled) {
+        continue;
+      }
+
+      const mark = marks[chatId];
+      if (!mark) {
+        const newest = messages.reduce(
+          (latest, message) => (!latest || message.timestamp > latest.timestamp ? message : latest),
+          null
         );
+        if (newest) {
+          await updateHighWaterMark(chatId, newest);
+          logger.info("Backfill", `Started tracking chat ${label}; earlier messages are not replayed`);
+        }
+        continue;
+      }
+
+      const missed = selectBackfillMessages(messages, mark);
+      if (missed.length === 0) {
+        logger.info("Backfill", `Chat ${label} is up to date`);
+        continue;
+      }
+
+      logger.info("Backfill", `Replaying ${missed.length} missed message(s) for chat ${label}`);
+      for (const message of missed) {
+        await handleMessage(message);
       }
     } catch (error) {
       logger.error(
         "ChatLog",
-        `Unable to retrieve chat history for ${chatId}`,
+        `Unable to catch up chat history for ${chatId}`,
         error
       );
     }
   }
 }
 
+function registerDigestJobs() {
+  const { chatId, dailyTime, weeklyTime, weeklyDay } = config.digest;
+  if (!chatId) {
+    logger.info("Digest", "DIGEST_CHAT_ID is empty; scheduled digests are disabled.");
+    return;
+  }
+
+  const { timezone, currency } = config.defaults;
+  const daily = parseTimeOfDay(dailyTime);
+  if (daily) {
+    scheduler.addJob({
+      id: "digest-daily",
+      schedule: { frequency: "daily", ...daily },
+      run: async ({ scheduledAt }) => {
+        const date = formatDateFromTimestamp(scheduledAt, timezone);
+        const expenses = await listAllExpenses({ from: date, to: date });
+        await sendChatMessage(chatId, buildDailyDigest(expenses, date, currency));
+      },
+    });
+  } else if (dailyTime) {
+    logger.warn("Digest", `Invalid DIGEST_DAILY_TIME "${dailyTime}"; expected HH:MM`);
+  }
+
+  const weekly = parseTimeOfDay(weeklyTime);
+  const weekday = parseWeekday(weeklyDay);
+  if (weekly && weekday !== null) {
+    scheduler.addJob({
+      id: "digest-weekly",
+      schedule: { frequency: "weekly", weekday, ...weekly },
+      run: async ({ scheduledAt }) => {
+        const date = formatDateFromTimestamp(scheduledAt, timezone);
+        const expenses = await listAllExpenses({ from: shiftDate(date, -6), to: date });
+        await sendChatMessage(chatId, buildWeeklyDigest(expenses, date, currency));
+      },
+    });
+  } else if (weeklyTime) {
+    logger.warn(
+      "Digest",
+      `Invalid weekly digest schedule "${weeklyDay} ${weeklyTime}"; expected a weekday and HH:MM`
+    );
+  }
+}
+
+registerDigestJobs();
+
+// Recurring items keep their own due dates, so the daily run only has to
+// look; the run at startup catches up whatever fell due while offline.
+scheduler.addJob({
+  id: "recurring",
+  schedule: { frequency: "daily", ...recurringService.time },
+  run: () => recurringService.runDue(),
+});
+
 client.on("qr", (qr) => {
   logger.info(
     "WhatsApp",
@@ -173,13 +460,19 @@ client.on("ready", () => {
     );
   }
 
-  logAllowedChatHistories().catch((error) => {
+  catchUpChatHistories().catch((error) => {
     logger.error(
       "ChatLog",
-      "Failed to log chat history for configured ALLOWED_CHAT_IDS",
+      "Failed to catch up chat histories",
       error
     );
   });
+
+  scheduler.start();
+  outbox.start();
+  recurringService.runDue().catch((error) => {
+    logger.error("Recurring", "Failed to log due recurring expenses", error);
+  });
 });
 
 client.on("disconnected", (reason) => {
@@ -188,9 +481,62 @@ client.on("disconnected", (reason) => {
   client.initialize();
 });
 
+// Resolve the logical chat ID for filtering. For self-sent messages,
+// message.from can be the self LID rather than the group JID, so we
+// fall back to message.to or parse from the serialized message ID.
+function resolveChatIdForFilter(msg) {
+  const isChatJid = (jid) => typeof jid === 'string' && /@(?:g|c)\.us$/i.test(jid);
+
+  if (isChatJid(msg.from)) return msg.from;
+  if (isChatJid(msg.to)) return msg.to;
+
+  const serialized = msg.id?._serialized || '';
+  const match = serialized.match(/^[a-z]+_([^_]+?@(?:g|c)\.us)_/i);
+  if (match) return match[1];
+
+  return msg.from || '';
+}
+
+function describeSender(message) {
+  const fromSelf = isMessageFromSelf(message);
+  return {
+    chatId: resolveChatIdForFilter(message),
+    authorId: message.author || (fromSelf ? selfId : message.from) || "",
+    fromSelf,
+  };
+}
+
+function resolveRoute(message) {
+  return routingTable.resolve(describeSender(message));
+}
+
+// Who a row was logged by: the route's name, else the sender's WhatsApp name.
+async function describeLogger(message, route) {
+  if (route.name) {
+    return route.name;
+  }
+  const contact = await message.getContact().catch(() => null);
+  return (
+    contact?.pushname ||
+    contact?.name ||
+    contact?.number ||
+    describeSender(message).authorId
+  );
+}
+
 async function shouldProcessMessage(message) {
   const fromSelf = isMessageFromSelf(message);
 
+  // A route in ROUTES_PATH admits its chat or author regardless of
+  // ALLOWED_CHAT_IDS and WHATSAPP_SELF_MESSAGES_ONLY.
+  if (routingTable.match(describeSender(message))) {
+    logger.debug(
+      "Handler",
+      `Processing message ${message.id?._serialized || "unknown"} because it matches a route`
+    );
+    return true;
+  }
+
   if (config.whatsapp.selfMessagesOnly && !fromSelf) {
     const author = message.author || message.from;
     logger.info(
@@ -207,22 +553,6 @@ async function shouldProcessMessage(message) {
     );
   }
 
-  // Resolve the logical chat ID for filtering. For self-sent messages,
-  // message.from can be the self LID rather than the group JID, so we
-  // fall back to message.to or parse from the serialized message ID.
-  function resolveChatIdForFilter(msg) {
-    const isChatJid = (jid) => typeof jid === 'string' && /@(?:g|c)\.us$/i.test(jid);
-
-    if (isChatJid(msg.from)) return msg.from;
-    if (isChatJid(msg.to)) return msg.to;
-
-    const serialized = msg.id?._serialized || '';
-    const match = serialized.match(/^[a-z]+_([^_]+?@(?:g|c)\.us)_/i);
-    if (match) return match[1];
-
-    return msg.from || '';
-  }
-
   if (config.whatsapp.allowedChatIds.length > 0) {
     const chatIdForFilter = resolveChatIdForFilter(message);
     const isAllowed = config.whatsapp.allowedChatIds.includes(chatIdForFilter);
@@ -253,30 +583,741 @@ async function extractMedia(message) {
   }
 
   const media = await message.downloadMedia();
-  if (!media || media.mimetype.indexOf("image/") !== 0 || !media.data) {
+  const mimeType = media?.mimetype ? media.mimetype.split(";")[0].trim() : "";
+  if (
+    !media ||
+    !(/^(?:image|audio)\//.test(mimeType) || mimeType === PDF_MIME_TYPE) ||
+    !media.data
+  ) {
     logger.info(
       "Handler",
       `Discarding media on message ${
         message.id?._serialized || "unknown"
-      } because it is not an image`
+      } because it is not an image, voice note or PDF`
     );
     return null;
   }
 
   return {
     base64Data: media.data,
-    mimeType: media.mimetype,
+    mimeType,
   };
 }
 
-function buildSuccessReply(expense) {
-  const amountFormatter = new Intl.NumberFormat("en-US", {
-    style: "currency",
-    currency: expense.currency,
+function isAudio(media) {
+  return Boolean(media) && media.mimeType.indexOf("audio/") === 0;
+}
+
+function describeMediaSource(media) {
+  if (!media) {
+    return "text";
+  }
+  if (isAudio(media)) {
+    return "voice";
+  }
+  return isPdf(media) ? "document" : "image";
+}
+
+// Voice notes are transcribed and then parsed like a text message, with the
+// transcript kept as the note on the recorded rows.
+async function transcribeVoiceNote(input, metadata) {
+  if (!isAudio(input.media)) {
+    return { input, metadata };
+  }
+
+  const transcript = await expenseParser.transcribe(input.media);
+  logger.info("Handler", `Transcribed voice note ${metadata.messageId}: ${transcript.slice(0, 200)}`);
+  return {
+    input: {
+      ...input,
+      text: [transcript, input.text].filter(Boolean).join("\n"),
+      rawText: [transcript, input.rawText].filter(Boolean).join("\n"),
+      media: null,
+    },
+    metadata: { ...metadata, note: transcript },
+  };
+}
+
+// Replies sent by the bot. message_create also fires for our own replies, and
+// they must not be parsed as new expenses. The event can arrive before
+// message.reply() resolves, so in-flight reply bodies are tracked as well.
+// Only recent IDs are kept in memory; older replies are covered by the
+// processed-message store.
+const SENT_REPLY_ID_LIMIT = 500;
+const sentReplyIds = new Set();
+const pendingReplyBodies = new Map();
+
+function rememberSentReply(id) {
+  sentReplyIds.add(id);
+  if (sentReplyIds.size > SENT_REPLY_ID_LIMIT) {
+    sentReplyIds.delete(sentReplyIds.values().next().value);
+  }
+}
+
+function releasePendingBody(text) {
+  const pending = pendingReplyBodies.get(text) || 0;
+  if (pending > 1) {
+    pendingReplyBodies.set(text, pending - 1);
+  } else {
+    pendingReplyBodies.delete(text);
+  }
+}
+
+// Once the send resolves its ID identifies the reply, so the body is
+// released again, unless message_create already consumed it. A failed send
+// releases it too, or a later message with the same text would be ignored.
+async function trackOutgoing(text, send) {
+  pendingReplyBodies.set(text, (pendingReplyBodies.get(text) || 0) + 1);
+  let sent;
+  try {
+    sent = await send();
+  } catch (error) {
+    releasePendingBody(text);
+    throw error;
+  }
+
+  const sentId = sent?.id?._serialized;
+  if (!sentId) {
+    return sent;
+  }
+  if (!sentReplyIds.has(sentId)) {
+    releasePendingBody(text);
+    rememberSentReply(sentId);
+  }
+  // Persisted as well, so backfill never replays the bot's own replies.
+  await processedMessages.complete(sentId);
+  return sent;
+}
+
+async function sendReply(message, text) {
+  return trackOutgoing(text, () => message.reply(text));
+}
+
+async function sendChatMessage(chatId, text) {
+  return trackOutgoing(text, () => client.sendMessage(chatId, text));
+}
+
+function isBotReply(message) {
+  if (sentReplyIds.has(message.id?._serialized)) {
+    return true;
+  }
+
+  const pending = isMessageFromSelf(message) ? pendingReplyBodies.get(message.body) : 0;
+  if (pending) {
+    releasePendingBody(message.body);
+    rememberSentReply(message.id?._serialized);
+    return true;
+  }
+
+  return false;
+}
+
+async function handleCommand(message) {
+  const route = resolveRoute(message);
+  const reply = await commandRouter.dispatch(message.body, {
+    message,
+    context: {
+      sheetsService: logTargets.get(route.target),
+      target: route.target,
+      loggedBy: await describeLogger(message, route),
+      chatId: resolveChatIdForFilter(message),
+    },
+  });
+  logger.info(
+    "Handler",
+    `Replying to command ${message.id._serialized} (${reply.length} chars)`
+  );
+  await sendReply(message, reply);
+}
+
+async function resolveCorrectionTarget(message) {
+  const quoted = await message.getQuotedMessage();
+  if (!quoted) {
+    return null;
+  }
+
+  // The user may quote either the original expense message or the bot's
+  // confirmation, which is itself a reply to the original message.
+  const candidates = [quoted];
+  if (quoted.hasQuotedMsg) {
+    const original = await quoted.getQuotedMessage();
+    if (original) {
+      candidates.push(original);
+    }
+  }
+
+  // Rows live in the log the original sender is routed to.
+  for (const candidate of candidates) {
+    const candidateId = candidate.id?._serialized;
+    const log = logTargets.get(resolveRoute(candidate).target);
+    const found = await log.findExpensesByMessageId(candidateId);
+    if (found.length > 0) {
+      return {
+        messageId: candidateId,
+        expenses: found.map(({ expense }) => expense),
+        log,
+      };
+    }
+  }
+
+  return null;
+}
+
+// Rows written before the currency column existed have no currency.
+function describeRecordedExpense(expense) {
+  const prettyAmount = describeAmount({
+    ...expense,
+    currency: expense.currency || config.defaults.currency,
+  });
+  return `${expense.description} – ${prettyAmount} on ${expense.date}`;
+}
+
+const ACCOUNT_FIELDS = ["account", "to_account"];
+
+// Amount and currency edits refer to what was spent, so the row is converted
+// again and the stored original values and rate follow the edit.
+function buildCorrectionChanges(expense, field, value) {
+  if (ACCOUNT_FIELDS.includes(field)) {
+    return { [field]: accountRegistry.normalize(value) };
+  }
+  if (field === "category") {
+    return { category: categoryClassifier.normalize(value) };
+  }
+  if (field !== "amount" && field !== "currency") {
+    return { [field]: value };
+  }
+
+  const converted = currencyConverter.convert({
+    ...expense,
+    originalAmount: field === "amount" ? value : expense.originalAmount,
+    originalCurrency: field === "currency" ? value : expense.originalCurrency,
+  });
+  return {
+    amount: converted.amount,
+    currency: converted.currency,
+    original_amount: converted.originalAmount,
+    original_currency: converted.originalCurrency,
+    exchange_rate: converted.exchangeRate ?? "",
+  };
+}
+
+// A split follows edits of the amount or currency of its expense.
+async function updateSplitAfterEdit(target) {
+  if (!splitLedger.findSplit(target.messageId)) {
+    return "";
+  }
+  try {
+    const rows = await target.log.findExpensesByMessageId(target.messageId);
+    const entry = await splitLedger.updateTotal(
+      target.messageId,
+      splitTotal(rows.map(({ expense }) => expense))
+    );
+    return entry
+      ? ` The split in /owes now divides ${formatAmount(entry.total, entry.currency)}.`
+      : "";
+  } catch (error) {
+    logger.error("Splits", `Unable to update split for message ${target.messageId}`, error);
+    return ` The split in /owes was not updated (${error.message}); undo the expense and log it again to fix it.`;
+  }
+}
+
+async function handleCorrection(message, command) {
+  const messageId = message.id._serialized;
+
+  if (command.action === "invalid") {
+    logger.info("Handler", `Rejected correction ${messageId}: ${command.reason}`);
+    if (config.whatsapp.replyEnabled) {
+      await sendReply(message, command.reason);
+    }
+    return;
+  }
+
+  let reply;
+  try {
+    const target = await resolveCorrectionTarget(message);
+    if (!target) {
+      logger.info(
+        "Handler",
+        `Correction ${messageId} does not quote a recorded expense`
+      );
+      reply = "Could not find a recorded expense for the quoted message.";
+    } else if (command.item && command.item > target.expenses.length) {
+      reply = `That message only recorded ${target.expenses.length} item(s).`;
+    } else if (command.action === "undo") {
+      const deleted = await target.log.deleteExpensesByMessageId(
+        target.messageId,
+        { item: command.item }
+      );
+      logger.info(
+        "Handler",
+        `Undid ${deleted.length} row(s) for message ${target.messageId}`
+      );
+      reply = `Deleted: ${deleted.map(describeRecordedExpense).join("; ")}.`;
+      if (!command.item && (await splitLedger.removeByMessageId(target.messageId)) > 0) {
+        reply += " The split was removed from /owes.";
+      }
+    } else if (!command.item && target.expenses.length > 1) {
+      reply = `That message recorded ${target.expenses.length} items. Use e.g. "edit 2 ${command.field} <value>".`;
+    } else if (
+      ACCOUNT_FIELDS.includes(command.field) &&
+      !accountRegistry.normalize(command.value)
+    ) {
+      reply = `Unknown account "${command.value}". See /accounts list.`;
+    } else if (
+      command.field === "category" &&
+      target.expenses[(command.item || 1) - 1].type === "adjustment"
+    ) {
+      reply = "Balance adjustments have no category.";
+    } else if (
+      command.field === "category" &&
+      !categoryClassifier.normalize(command.value)
+    ) {
+      reply = `Unknown category "${command.value}". Use one of: ${categoryClassifier
+        .list()
+        .join(", ")}.`;
+    } else {
+      const expense = target.expenses[(command.item || 1) - 1];
+      const updated = await target.log.updateExpenseByMessageId(
+        target.messageId,
+        buildCorrectionChanges(expense, command.field, command.value),
+        { item: command.item }
+      );
+      logger.info(
+        "Handler",
+        `Updated ${command.field} for message ${target.messageId}`
+      );
+      if (command.field === "category") {
+        await categoryClassifier.learnCorrection(expense, updated.category);
+      }
+      reply = `Updated ${command.field}: ${describeRecordedExpense(updated)}.`;
+      if (command.field === "amount" || command.field === "currency") {
+        reply += await updateSplitAfterEdit(target);
+      }
+    }
+  } catch (error) {
+    logger.error("Handler", "Failed to apply correction", error);
+    reply = "Could not apply the correction. Please try again.";
+  }
+
+  if (config.whatsapp.replyEnabled) {
+    await sendReply(message, reply);
+  } else {
+    logger.info("Handler", `Replies are disabled; correction result: ${reply}`);
+  }
+}
+
+function describeAmount(expense) {
+  const prettyAmount = formatAmount(expense.amount, expense.currency);
+  if (expense.originalCurrency && expense.originalCurrency !== expense.currency) {
+    return `${formatAmount(expense.originalAmount, expense.originalCurrency)} (${prettyAmount})`;
+  }
+  return prettyAmount;
+}
+
+function describeEntry(expense) {
+  const prettyAmount = describeAmount(expense);
+  if (expense.type === "transfer") {
+    return `Transfer: ${prettyAmount} from ${expense.account || "unknown account"} to ${
+      expense.toAccount || "unknown account"
+    } on ${expense.date}`;
+  }
+  if (expense.type === "income") {
+    return `Income: ${expense.description} – ${prettyAmount} on ${expense.date}${
+      expense.account ? ` into ${expense.account}` : ""
+    }`;
+  }
+  return `${expense.description} – ${prettyAmount} on ${expense.date} (${expense.category})`;
+}
+
+function buildSuccessReply(expenses) {
+  if (expenses.length === 1) {
+    const [expense] = expenses;
+    if (expense.type === "transfer" || expense.type === "income") {
+      return `Recorded ${describeEntry(expense)}.`;
+    }
+    const prettyAmount = describeAmount(expense);
+    return `Recorded: ${expense.description} – ${prettyAmount} on ${expense.date}. Category: ${expense.category}.`;
+  }
+
+  const lines = expenses.map(
+    (expense, index) => `${index + 1}. ${describeEntry(expense)}`
+  );
+
+  // The total only adds up spending, so it is shown for expense-only messages.
+  const currencies = new Set(expenses.map((expense) => expense.currency));
+  const allExpenses = expenses.every(isExpenseRecord);
+  if (currencies.size === 1 && allExpenses) {
+    const total = expenses.reduce((sum, expense) => sum + expense.amount, 0);
+    lines.push(`Total: ${formatAmount(total, expenses[0].currency)}`);
+  }
+
+  const noun = allExpenses ? "expenses" : "entries";
+  return `Recorded ${expenses.length} ${noun}:\n${lines.join("\n")}`;
+}
+
+async function checkBudgets(expenses, log) {
+  if (budgetService.listBudgets().length === 0) {
+    return [];
+  }
+
+  try {
+    const months = expenses.map((expense) => (expense.date || "").slice(0, 7)).sort();
+    const allExpenses = await log.listExpenses({
+      from: `${months[0]}-01`,
+      to: `${months[months.length - 1]}-31`,
+    });
+    const warnings = budgetService.checkExpenses(expenses, allExpenses);
+    for (const warning of warnings) {
+      logger.info("Budgets", warning);
+    }
+    return warnings;
+  } catch (error) {
+    logger.error("Budgets", "Unable to check budgets after recording", error);
+    return [];
+  }
+}
+
+function buildMissingRateNotes(expenses) {
+  const currencies = new Set(
+    expenses
+      .filter((expense) => expense.exchangeRate === null)
+      .map((expense) => expense.currency)
+  );
+  return [...currencies].map(
+    (currency) =>
+      `No exchange rate for ${currency}, so it was logged unconverted. Set one with /rate ${currency} <rate in ${config.defaults.currency}>.`
+  );
+}
+
+// What a split divides: the spending recorded from one message. The ledger
+// keeps a single currency, so rows that could not be converted to it are
+// refused rather than added at their foreign amount.
+function splitTotal(expenses) {
+  const records = expenses.filter(isExpenseRecord);
+  const unconverted = records.find((expense) => isUnconverted(expense, config.defaults.currency));
+  if (unconverted) {
+    throw new Error(
+      `"${unconverted.description}" is in ${unconverted.currency} and could not be converted to ${config.defaults.currency}`
+    );
+  }
+  return records.reduce((sum, expense) => sum + expense.amount, 0);
+}
+
+// Adds the shares of a "split with ..." message to the owes ledger. The rows
+// are already written, so a split that cannot be applied is only reported.
+async function recordSplit(expenses, metadata) {
+  const currency = config.defaults.currency;
+  try {
+    const total = splitTotal(expenses);
+    const shares = SplitLedger.computeShares(total, metadata.split.participants, metadata.loggedBy, (name) =>
+      splitLedger.personKey(name)
+    );
+    await splitLedger.recordSplit({
+      chatId: metadata.split.chatId,
+      messageId: metadata.messageId,
+      payer: metadata.loggedBy,
+      description: expenses.map((expense) => expense.description).join(", "),
+      date: expenses[0].date,
+      currency,
+      total,
+      participants: metadata.split.participants,
+      shares,
+    });
+    const lines = shares.map(
+      ({ person, amount }) => `- ${person}: ${formatAmount(amount, currency)}`
+    );
+    return `Split ${formatAmount(total, currency)}:\n${lines.join("\n")}\nSee /owes for who owes whom.`;
+  } catch (error) {
+    logger.error("Splits", "Unable to record split", error);
+    return `The expense was recorded, but the split was not: ${error.message}.`;
+  }
+}
+
+async function recordExpenses(expenses, metadata) {
+  const log = logTargets.get(metadata.target);
+  await log.appendExpenses(expenses, metadata);
+  categoryClassifier.learn(expenses);
+  const warnings = await checkBudgets(expenses, log);
+  const splitNotes = metadata.split ? [await recordSplit(expenses, metadata)] : [];
+  return [
+    buildSuccessReply(expenses),
+    ...buildMissingRateNotes(expenses),
+    ...splitNotes,
+    ...warnings,
+  ].join("\n\n");
+}
+
+async function replyIfEnabled(message, text) {
+  if (!config.whatsapp.replyEnabled) {
+    logger.info("Handler", `Replies are disabled; not sending: ${text}`);
+    return;
+  }
+
+  logger.info("Handler", `Replying to message ${message.id._serialized}`);
+  await sendReply(message, text);
+}
+
+// Confirms a queued entry once it has been written, quoting the original
+// message when WhatsApp still has it so undo/edit keep working.
+async function confirmQueuedDelivery(metadata, confirmation) {
+  const text = `Recorded queued message:\n${confirmation}`;
+  if (!config.whatsapp.replyEnabled) {
+    logger.info("Outbox", `Replies are disabled; not sending: ${text}`);
+    return;
+  }
+
+  try {
+    const original = await client.getMessageById(metadata.messageId).catch(() => null);
+    if (original) {
+      await sendReply(original, text);
+    } else if (metadata.chatId) {
+      await sendChatMessage(metadata.chatId, text);
+    }
+  } catch (error) {
+    // The rows are already written; a failed notice must not requeue them.
+    logger.error("Outbox", "Unable to send confirmation for queued entry", error);
+  }
+}
+
+async function detectDuplicates(expenses, metadata) {
+  try {
+    const existing = await logTargets.get(metadata.target).listExpenses();
+    return findDuplicates(expenses, existing, {
+      timestampMs: metadata.timestampMs,
+      windowMs: config.dedupe.duplicateWindowMinutes * 60 * 1000,
+      timezone: config.defaults.timezone,
+    });
+  } catch (error) {
+    logger.error("Handler", "Unable to check for duplicate expenses", error);
+    return [];
+  }
+}
+
+function buildDuplicateQuestion(duplicates) {
+  const lines = duplicates.map(
+    ({ expense, match }) =>
+      `- ${expense.description} – ${formatAmount(expense.amount, expense.currency)} on ${expense.date} (already logged at ${match.timestamp})`
+  );
+  return `This looks like a duplicate:\n${lines.join("\n")}\n\nReply "yes" to record it anyway or "no" to skip it.`;
+}
+
+function findOutOfRangeDates(expenses, timestampMs) {
+  const today = formatDateFromTimestamp(timestampMs, config.defaults.timezone);
+  return expenses
+    .map((expense, index) => ({
+      index,
+      expense,
+      problem: checkDateRange(expense.date, {
+        today,
+        maxPastDays: config.dates.maxPastDays,
+      }),
+    }))
+    .filter(({ problem }) => problem);
+}
+
+function buildDateQuestion(flagged) {
+  const lines = flagged.map(
+    ({ expense, problem }) =>
+      `- ${expense.description} – ${formatAmount(expense.amount, expense.currency)} dated ${expense.date} (${
+        problem === "future"
+          ? "in the future"
+          : `more than ${config.dates.maxPastDays} days ago`
+      })`
+  );
+  return `Please check the date:\n${lines.join("\n")}\n\nReply "yes" to record it as is, "no" to skip it, or send the correct date (e.g. "yesterday" or "12/03").`;
+}
+
+// A reply that is nothing but a date, e.g. "kemarin" or "2024-03-12".
+function parseDateAnswer(message) {
+  const answer = (message.body || "").trim();
+  const match = findDateInText(answer, {
+    timestampMs: (message.timestamp || Math.floor(Date.now() / 1000)) * 1000,
+    timezone: config.defaults.timezone,
+    order: config.dates.order,
   });
+  if (!match || `${answer.slice(0, match.start)}${answer.slice(match.end)}`.trim()) {
+    return null;
+  }
+  return match.date;
+}
+
+function isDraft(expense) {
+  return expense.amount === null;
+}
+
+function buildAmountQuestion(expense) {
+  return `How much was ${expense.description}? Reply with the amount (e.g. "25k"), or "skip" to leave it out.`;
+}
+
+const AMOUNT_ANSWER_REGEX = new RegExp(
+  `^(?:${CURRENCY_PREFIX_PATTERN}\\s*)?(?:${AMOUNT_PATTERN})$`,
+  "iu"
+);
 
-  const prettyAmount = amountFormatter.format(expense.amount);
-  return `Recorded: ${expense.description} – ${prettyAmount} on ${expense.date}. Category: ${expense.category}.`;
+// A reply that is nothing but an amount, e.g. "25k", "Rp 25.000" or "IDR25000".
+function parseAmountAnswer(message, currency) {
+  const answer = (message.body || "")
+    .trim()
+    .replace(/^(?:s\$|us\$|\$|€|£|¥)\s*/i, "");
+  if (!AMOUNT_ANSWER_REGEX.test(answer)) {
+    return null;
+  }
+  const amount = parseAmount(answer, { locale: config.defaults.locale, currency });
+  return amount > 0 ? amount : null;
+}
+
+// Holds the parsed entries and asks for the first missing amount. The
+// draft expires after DRAFT_TIMEOUT_MINUTES without an answer. With replies
+// disabled nobody would see the question, so entries without an amount are
+// dropped and the rest are recorded.
+async function askForMissingAmount(message, expenses, metadata) {
+  if (!config.whatsapp.replyEnabled) {
+    const drafts = expenses.filter(isDraft);
+    logger.warn(
+      "Handler",
+      `Replies are disabled; skipping ${drafts.length} entry(ies) without an amount from message ${metadata.messageId}`
+    );
+    const complete = expenses.filter((expense) => !isDraft(expense));
+    if (complete.length > 0) {
+      await reviewAndRecord(message, complete, metadata);
+    }
+    return;
+  }
+
+  const index = expenses.findIndex(isDraft);
+  logger.info(
+    "Handler",
+    `Message ${metadata.messageId} has no amount for "${expenses[index].description}"; asking`
+  );
+  await pendingActions.set(
+    resolveChatIdForFilter(message),
+    "amount",
+    { expenses, metadata, index },
+    { ttlMs: config.pendingActions.draftTimeoutMinutes * 60 * 1000 }
+  );
+  await replyIfEnabled(message, buildAmountQuestion(expenses[index]));
+}
+
+const CONFIRM_YES_REGEX = /^(?:y|yes|ya|iya|ok|okay|record)$/i;
+const CONFIRM_NO_REGEX = /^(?:n|no|nope|tidak|nggak|gak|skip|cancel)$/i;
+
+// Answers to a question the bot asked in this chat. Returns true when the
+// message was consumed as an answer.
+async function handlePendingAnswer(message) {
+  const chatKey = resolveChatIdForFilter(message);
+  const pending = pendingActions.get(chatKey);
+  if (!pending) {
+    return false;
+  }
+
+  const answer = (message.body || "").trim();
+  if (pending.kind === "amount") {
+    const { metadata, index } = pending.payload;
+    let { expenses } = pending.payload;
+    const draft = expenses[index];
+    if (CONFIRM_NO_REGEX.test(answer)) {
+      await pendingActions.clear(chatKey);
+      logger.info("Handler", `Skipped "${draft.description}" for message ${metadata.messageId}`);
+      expenses = expenses.filter((expense, position) => position !== index);
+      if (expenses.length === 0) {
+        await replyIfEnabled(message, "Skipped the expense.");
+        return true;
+      }
+    } else {
+      const amount = parseAmountAnswer(message, draft.currency);
+      if (!amount) {
+        return false;
+      }
+      await pendingActions.clear(chatKey);
+      expenses[index] = currencyConverter.convert({ ...draft, amount });
+      logger.info(
+        "Handler",
+        `Completed "${draft.description}" with amount ${amount} for message ${metadata.messageId}`
+      );
+    }
+
+    if (expenses.some(isDraft)) {
+      await askForMissingAmount(message, expenses, metadata);
+    } else {
+      await reviewAndRecord(message, expenses, metadata);
+    }
+    return true;
+  }
+
+  if (pending.kind === "date") {
+    const { expenses, metadata, indexes } = pending.payload;
+    if (CONFIRM_YES_REGEX.test(answer)) {
+      await pendingActions.clear(chatKey);
+      logger.info("Handler", `Recording confirmed dates for message ${metadata.messageId}`);
+      await reviewAndRecord(message, expenses, metadata, { checkDates: false });
+      return true;
+    }
+    if (CONFIRM_NO_REGEX.test(answer)) {
+      await pendingActions.clear(chatKey);
+      logger.info("Handler", `Skipped misdated entries for message ${metadata.messageId}`);
+      await replyIfEnabled(message, "Skipped the expense.");
+      return true;
+    }
+    const date = parseDateAnswer(message);
+    if (date) {
+      await pendingActions.clear(chatKey);
+      for (const index of indexes) {
+        expenses[index].date = date;
+      }
+      logger.info("Handler", `Corrected date to ${date} for message ${metadata.messageId}`);
+      await reviewAndRecord(message, expenses, metadata);
+      return true;
+    }
+  }
+
+  if (pending.kind === "duplicate") {
+    if (CONFIRM_YES_REGEX.test(answer)) {
+      await pendingActions.clear(chatKey);
+      const { expenses, metadata } = pending.payload;
+      logger.info("Handler", `Recording confirmed duplicate for message ${metadata.messageId}`);
+      await recordOrQueue(message, expenses, metadata);
+      return true;
+    }
+    if (CONFIRM_NO_REGEX.test(answer)) {
+      await pendingActions.clear(chatKey);
+      logger.info("Handler", `Skipped duplicate for message ${pending.payload.metadata.messageId}`);
+      await replyIfEnabled(message, "Skipped the duplicate expense.");
+      return true;
+    }
+  }
+
+  return false;
+}
+
+async function recordOrQueue(message, expenses, metadata) {
+  let confirmation;
+  try {
+    logger.info(
+      "Handler",
+      `Appending expense from chat ${metadata.chatName || "unknown"} to log target`
+    );
+    confirmation = await recordExpenses(expenses, metadata);
+  } catch (error) {
+    logger.error("Handler", "Failed to write expense to log target", error);
+    await outbox.enqueue("append", { expenses, metadata }, {
+      label: expenses.map((expense) => expense.description).join(", "),
+    });
+    await replyIfEnabled(
+      message,
+      `Parsed, but the log is unavailable right now. Queued ${expenses.length} row(s) (${outbox.size()} pending); they will be written automatically.`
+    );
+    return;
+  }
+
+  logger.info(
+    "Handler",
+    `Expense summary for message ${metadata.messageId}: ${confirmation}`
+  );
+  await replyIfEnabled(message, confirmation);
+  logger.info(
+    "Handler",
+    `Logged ${expenses.length} expense(s) for message ${metadata.messageId}`
+  );
 }
 
 async function handleMessage(message) {
@@ -290,7 +1331,115 @@ async function handleMessage(message) {
     return;
   }
 
-  const supportedTypes = ["chat", "image"];
+  if (isBotReply(message)) {
+    logger.debug(
+      "Handler",
+      `Message ${message.id._serialized} is a bot reply; skipping`
+    );
+    return;
+  }
+
+  // message_create can fire again for the same message after a reconnect.
+  const messageId = message.id._serialized;
+  if (!processedMessages.claim(messageId)) {
+    logger.info("Handler", `Message ${messageId} was already processed; skipping`);
+    return;
+  }
+
+  try {
+    await processMessage(message);
+  } finally {
+    await processedMessages.complete(messageId);
+    await updateHighWaterMark(resolveChatIdForFilter(message), message).catch((error) =>
+      logger.error("Backfill", "Unable to update high-water mark", error)
+    );
+  }
+}
+
+// Expenses posted to the HTTP API go through the same parser and log as chat
+// messages, into the default log. There is no chat to ask questions in, so
+// entries without an amount are rejected and duplicates are not checked;
+// outages queue the submission like they queue a message.
+async function submitApiExpense({ text, media, loggedBy }) {
+  const timestampMs = Date.now();
+  const { accountOverride, cleanedText } = extractAccountDirective(text);
+  const input = {
+    text: cleanedText,
+    media,
+    timestampMs,
+    accountOverride,
+    rawText: text,
+  };
+  let metadata = {
+    note: media && cleanedText ? cleanedText : "",
+    messageId: `http-${crypto.randomUUID()}`,
+    chatId: null,
+    chatName: "HTTP API",
+    source: describeMediaSource(media),
+    timestampMs,
+    target: null,
+    loggedBy: loggedBy || "api",
+  };
+
+  let expenses;
+  try {
+    const prepared = await transcribeVoiceNote(input, metadata);
+    expenses = await expenseParser.parse(prepared.input);
+    metadata = prepared.metadata;
+  } catch (error) {
+    if (!error.retryable) {
+      throw HttpApi.httpError(422, "No expense found in the submission");
+    }
+    logger.error("HttpApi", "Parser unavailable; queueing submission", error);
+    await outbox.enqueue("parse", { input, metadata }, {
+      label: cleanedText.slice(0, 60) || `${metadata.source} via HTTP`,
+    });
+    return { status: "queued", messageId: metadata.messageId };
+  }
+
+  const complete = expenses.filter((expense) => !isDraft(expense));
+  if (complete.length === 0) {
+    throw HttpApi.httpError(422, "No amount found in the submission");
+  }
+
+  try {
+    const confirmation = await recordExpenses(complete, metadata);
+    return { status: "recorded", messageId: metadata.messageId, expenses: complete, confirmation };
+  } catch (error) {
+    logger.error("HttpApi", "Failed to write expense to log target", error);
+    await outbox.enqueue("append", { expenses: complete, metadata }, {
+      label: complete.map((expense) => expense.description).join(", "),
+    });
+    return { status: "queued", messageId: metadata.messageId, expenses: complete };
+  }
+}
+
+async function processMessage(message) {
+  // Commands are dispatched before parsing so they are never logged as
+  // expenses. They are always answered, even when confirmations are disabled.
+  if (message.type === "chat" && commandRouter.isCommand(message.body)) {
+    logger.info("Handler", `Message ${message.id._serialized} is a command`);
+    await handleCommand(message);
+    return;
+  }
+
+  if (message.type === "chat" && (await handlePendingAnswer(message))) {
+    return;
+  }
+
+  if (message.type === "chat" && message.hasQuotedMsg) {
+    const correction = parseCorrectionCommand(message.body, config.defaults);
+    if (correction) {
+      logger.info(
+        "Handler",
+        `Message ${message.id._serialized} is a ${correction.action} correction`
+      );
+      await handleCorrection(message, correction);
+      return;
+    }
+  }
+
+  const supportedTypes = ["chat", "image", "ptt", "audio", "document"];
   if (!supportedTypes.includes(message.type)) {
     logger.debug(
       "Handler",
@@ -304,14 +1453,18 @@ async function handleMessage(message) {
   const timestampMs =
     (message.timestamp || Math.floor(Date.now() / 1000)) * 1000;
   const media = await extractMedia(message);
-  const rawText = typeof message.body === 'string' ? message.body.trim() : '';
+  // A document sent without a caption may carry its file name as the body.
+  const body = typeof message.body === 'string' ? message.body.trim() : '';
+  const rawText = message.type === "document" && body === message._data?.filename ? "" : body;
   const { accountOverride, cleanedText } = extractAccountDirective(rawText);
-  const parsingText = cleanedText;
+  const { split, cleanedText: parsingText } = extractSplitDirective(cleanedText, config.defaults);
 
   if (media) {
     logger.info(
       "Handler",
-      `Message ${message.id._serialized} contains media (${media.mimeType}), forwarding to Gemini image parser`
+      `Message ${message.id._serialized} contains media (${media.mimeType}), forwarding to Gemini ${
+        isAudio(media) ? "transcriber" : `${describeMediaSource(media)} parser`
+      }`
     );
   } else {
     logger.info(
@@ -332,73 +1485,120 @@ async function handleMessage(message) {
     );
   }
 
+  const messageId = message.id._serialized;
+  const route = resolveRoute(message);
+  const input = {
+    text: parsingText,
+    media,
+    timestampMs,
+    accountOverride,
+    rawText,
+    currency: route.currency,
+    defaultAccount: route.account,
+  };
+
+  let metadata;
+  let expenses;
   try {
-    logger.info(
-      "Handler",
-      `Parsing expense details for message ${message.id._serialized}`
-    );
-    const expense = await expenseParser.parse({
-      text: parsingText,
-      media,
+    const chat = await message.getChat();
+    metadata = {
+      note: media && parsingText ? parsingText : "",
+      messageId,
+      chatId: chat?.id?._serialized || message.from,
+      chatName: chat?.name || chat?.id?._serialized || "",
+      source: describeMediaSource(media),
       timestampMs,
-      accountOverride,
-      rawText,
-    });
+      target: route.target,
+      loggedBy: await describeLogger(message, route),
+      split: split ? { ...split, chatId: resolveChatIdForFilter(message) } : null,
+    };
 
     logger.info(
       "Handler",
-      `Parsed expense for message ${message.id._serialized}: ${expense.description} ${expense.amount} ${expense.currency} on ${expense.date}`
+      `Parsing expense details for message ${messageId}`
     );
+    // A queued voice note keeps its audio, so it is transcribed again on retry.
+    const prepared = await transcribeVoiceNote(input, metadata);
+    expenses = await expenseParser.parse(prepared.input);
+    metadata = prepared.metadata;
 
-    const chat = await message.getChat();
-    logger.info(
-      "Handler",
-      `Appending expense from chat ${
-        chat?.name || chat?.id?._serialized || "unknown"
-      } to log target`
+    for (const expense of expenses) {
+      logger.info(
+        "Handler",
+        `Parsed expense for message ${messageId}: ${expense.description} ${expense.amount} ${expense.currency} on ${expense.date}`
+      );
+    }
+  } catch (error) {
+    logger.error("Handler", "Failed to process message", error);
+    if (error.retryable && metadata) {
+      await outbox.enqueue("parse", { input, metadata }, {
+        label: textPreview.slice(0, 60) || `${metadata.source} message`,
+      });
+      await replyIfEnabled(
+        message,
+        `The parser is unavailable right now. Your message is queued (${outbox.size()} pending) and will be recorded automatically.`
+      );
+      return;
+    }
+
+    await replyIfEnabled(
+      message,
+      "Could not record expense. Please try again or specify amount and description in text."
     );
+    return;
+  }
 
-    const note = media && parsingText ? parsingText : "";
-    await sheetsService.appendExpense(expense, {
-      note,
-    });
+  if (expenses.some(isDraft)) {
+    await askForMissingAmount(message, expenses, metadata);
+    return;
+  }
 
-    const confirmation = buildSuccessReply(expense);
-    logger.info(
-      "Handler",
-      `Expense summary for message ${message.id._serialized}: ${confirmation}`
-    );
+  await reviewAndRecord(message, expenses, metadata);
+}
 
-    if (config.whatsapp.replyEnabled) {
-      logger.info(
-        "Handler",
-        `Replying to message ${message.id._serialized} with confirmation`
-      );
-      await message.reply(confirmation);
-    } else {
+// Entries that look wrong are held and the chat is asked about them; the
+// answer resumes here. Dates are checked first, then possible duplicates.
+// With replies disabled the questions could not be answered, so entries are
+// recorded without these checks.
+async function reviewAndRecord(message, expenses, metadata, { checkDates = true } = {}) {
+  const { messageId } = metadata;
+  if (!config.whatsapp.replyEnabled) {
+    await recordOrQueue(message, expenses, metadata);
+    return;
+  }
+
+  if (checkDates) {
+    const flagged = findOutOfRangeDates(expenses, metadata.timestampMs);
+    if (flagged.length > 0) {
       logger.info(
         "Handler",
-        "Replies are disabled; skipping confirmation message."
+        `Message ${messageId} has ${flagged.length} out-of-range date(s); asking for confirmation`
       );
+      await pendingActions.set(resolveChatIdForFilter(message), "date", {
+        expenses,
+        metadata,
+        indexes: flagged.map(({ index }) => index),
+      });
+      await replyIfEnabled(message, buildDateQuestion(flagged));
+      return;
     }
+  }
 
+  const duplicates = await detectDuplicates(expenses, metadata);
+  if (duplicates.length > 0) {
     logger.info(
       "Handler",
-      `Logged expense for message ${message.id._serialized}`
+      `Message ${messageId} looks like a duplicate; asking for confirmation`
     );
-  } catch (error) {
-    logger.error("Handler", "Failed to process message", error);
-    if (config.whatsapp.replyEnabled) {
-      await message.reply(
-        "Could not record expense. Please try again or specify amount and description in text."
-      );
-    } else {
-      logger.info(
-        "Handler",
-        "Replies are disabled; not sending failure notification."
-      );
-    }
+    await pendingActions.set(resolveChatIdForFilter(message), "duplicate", {
+      expenses,
+      metadata,
+    });
+    await replyIfEnabled(message, buildDuplicateQuestion(duplicates));
+    return;
   }
+
+  await recordOrQueue(message, expenses, metadata);
 }
 
 client.on("message_create", (message) => {
@@ -414,3 +1614,9 @@ client.on("message_create", (message) => {
 });
 
 client.initialize();
+
+if (config.http.enabled) {
+  httpApi.start().catch((error) => {
+    logger.error("HttpApi", "Unable to start the HTTP API", error);
+  });
+}
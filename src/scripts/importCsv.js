@@ -0,0 +1,59 @@
+// One-time import of a CSV expense log into the SQLite backend:
+//
+//   npm run import-csv -- [path/to/expenses.csv] [--force]
+//
+// Defaults to LOCAL_CSV_PATH and writes to the default table in SQLITE_PATH.
+// Rows written by older versions are migrated to the current columns on the
+// way in; the CSV file itself is left untouched. A file is only imported once
+// unless --force is given, and rows whose message ID is already in the
+// database are skipped either way.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { parseCsv } = require('../utils/csv');
+const { isCurrentHeader, migrateRow, splitHeader } = require('../services/rowSchema');
+const SqliteExpenseLog = require('../services/sqliteLog');
+
+function readCsvRows(csvPath) {
+  const rows = parseCsv(fs.readFileSync(csvPath, 'utf8')).filter((values) =>
+    values.some((value) => value !== '')
+  );
+  const { header, dataRows } = splitHeader(rows);
+  if (isCurrentHeader(header)) {
+    return dataRows;
+  }
+  logger.info('Import', `Migrating rows from [${header.join(', ')}] to the current schema`);
+  return dataRows.map((values) => migrateRow(values, header, { defaultCurrency: config.defaults.currency }));
+}
+
+function main(args) {
+  const force = args.includes('--force');
+  const [inputPath = config.localCsvPath] = args.filter((arg) => arg !== '--force');
+  const csvPath = path.resolve(inputPath);
+
+  if (!fs.existsSync(csvPath)) {
+    logger.error('Import', `CSV file not found: ${csvPath}`);
+    return 1;
+  }
+
+  const log = new SqliteExpenseLog({ dbPath: config.storage.sqlitePath });
+  const previous = log.importedFrom(csvPath);
+  if (previous && !force) {
+    logger.warn(
+      'Import',
+      `${csvPath} was already imported on ${previous.imported_at} (${previous.rows} row(s)); use --force to import it again`
+    );
+    return 0;
+  }
+
+  const rows = readCsvRows(csvPath);
+  const { imported, skipped } = log.importRows(rows, csvPath);
+  logger.info(
+    'Import',
+    `Done: ${imported} row(s) imported into ${config.storage.sqlitePath}, ${skipped} skipped. Set STORAGE_BACKEND=sqlite to use it.`
+  );
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
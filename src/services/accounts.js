@@ -0,0 +1,239 @@
+const logger = require('../utils/logger');
+
+// Seeded into ACCOUNTS_PATH on first start: the accounts earlier versions
+// recognized without any configuration, so upgrading keeps them.
+const DEFAULT_ACCOUNTS = [
+  { name: 'cash', aliases: ['cash', 'tunai'] },
+  { name: 'gopay', aliases: ['gopay', 'go-pay', 'go pay', 'gojek pay'] },
+  { name: 'shopeepay', aliases: ['shopeepay', 'shopee pay', 'shopee-pay'] },
+  { name: 'isaku', aliases: ['isaku'] },
+  { name: 'bca', aliases: ['bca', 'bank central asia', 'bank bca'] },
+  {
+    name: 'flazz emoney',
+    aliases: ['flazz emoney', 'flazz', 'flazz e-money', 'emoney', 'e-money', 'bca flazz', 'flazz card'],
+  },
+  { name: 'superbank', aliases: ['superbank', 'super bank'] },
+  {
+    name: 'jago cloudthingy',
+    aliases: ['jago cloudthingy', 'jago', 'bank jago', 'cloudthingy', 'jago cloud thingy'],
+  },
+];
+
+const TRANSFER_FROM_REGEX = /(?:^|\s)(?:from|dari)\s+$/i;
+const TRANSFER_TO_REGEX = /(?:^|\s)(?:to|into|ke)\s+$/i;
+const TOP_UP_REGEX = /\b(?:top\s*-?\s*up|isi(?:\s+saldo)?)\b/i;
+
+function normalizeLabel(value) {
+  return value === undefined || value === null
+    ? ''
+    : String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+// Accounts (wallets, banks, cards) and the aliases that identify them in
+// messages. The JSON file is the single source for both the Gemini prompt
+// and account matching, and can be extended from chat with /accounts.
+class AccountRegistry {
+  constructor({ store }) {
+    this.store = store;
+    this.patterns = null;
+  }
+
+  list() {
+    return this.store.read().accounts || [];
+  }
+
+  names() {
+    return this.list().map(({ name }) => name);
+  }
+
+  async add(name, aliases = []) {
+    const normalizedName = normalizeLabel(name);
+    if (!normalizedName) {
+      throw new Error('Account name is required');
+    }
+    const normalizedAliases = aliases.map(normalizeLabel).filter(Boolean);
+
+    let added = null;
+    await this.store.update((data) => {
+      const accounts = data.accounts || [];
+      const existing = accounts.find((account) => account.name === normalizedName);
+      if (existing) {
+        existing.aliases = Array.from(new Set([...(existing.aliases || []), ...normalizedAliases]));
+        added = existing;
+      } else {
+        added = { name: normalizedName, aliases: Array.from(new Set([normalizedName, ...normalizedAliases])) };
+        accounts.push(added);
+      }
+      data.accounts = accounts;
+    });
+
+    this.patterns = null;
+    logger.info('Accounts', `Saved account "${added.name}" with aliases [${added.aliases.join(', ')}]`);
+    return added;
+  }
+
+  async remove(name) {
+    const normalizedName = this.normalize(name);
+    if (!normalizedName) {
+      return null;
+    }
+
+    await this.store.update((data) => {
+      data.accounts = (data.accounts || []).filter((account) => account.name !== normalizedName);
+    });
+
+    this.patterns = null;
+    logger.info('Accounts', `Removed account "${normalizedName}"`);
+    return normalizedName;
+  }
+
+  // Balance of the account at the start of `since` (YYYY-MM-DD). Rows dated
+  // before it are already part of the opening balance.
+  async setOpeningBalance(name, amount, since) {
+    const normalizedName = this.normalize(name);
+    if (!normalizedName) {
+      return null;
+    }
+
+    let updated = null;
+    await this.store.update((data) => {
+      updated = (data.accounts || []).find((account) => account.name === normalizedName);
+      if (updated) {
+        updated.openingBalance = amount;
+        updated.openingDate = since;
+      }
+    });
+
+    logger.info('Accounts', `Set opening balance of "${normalizedName}" to ${amount} as of ${since}`);
+    return updated;
+  }
+
+  // Exact match on an account name or alias.
+  normalize(value) {
+    const normalized = normalizeLabel(value);
+    if (!normalized) {
+      return null;
+    }
+
+    for (const { name, aliases } of this.list()) {
+      if (name === normalized || (aliases || []).some((alias) => normalizeLabel(alias) === normalized)) {
+        return name;
+      }
+    }
+
+    return null;
+  }
+
+  getPatterns() {
+    if (!this.patterns) {
+      // Longer aliases first so "bank jago" wins over "jago" style overlaps.
+      this.patterns = this.list()
+        .flatMap(({ name, aliases }) =>
+          Array.from(new Set([name, ...(aliases || [])])).map((alias) => ({ name, alias: normalizeLabel(alias) }))
+        )
+        .filter(({ alias }) => alias)
+        .sort((left, right) => right.alias.length - left.alias.length)
+        .map(({ name, alias }) => ({
+          name,
+          regex: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(alias)}(?![\\p{L}\\p{N}])`, 'iu'),
+        }));
+    }
+    return this.patterns;
+  }
+
+  findInText(text) {
+    if (!text) {
+      return null;
+    }
+
+    const match = this.getPatterns().find(({ regex }) => regex.test(text));
+    return match ? match.name : null;
+  }
+
+  // Every account mentioned in the text, in order of appearance.
+  findMentions(text) {
+    const mentions = [];
+    for (const { name, regex } of this.getPatterns()) {
+      const global = new RegExp(regex.source, 'giu');
+      for (const match of (text || '').matchAll(global)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (!mentions.some((mention) => start < mention.end && end > mention.start)) {
+          mentions.push({ name, start, end });
+        }
+      }
+    }
+    return mentions.sort((left, right) => left.start - right.start);
+  }
+
+  // "topup gopay 200k from bca", "tf bca ke jago": an account after from/dari
+  // is the source and one after to/ke the destination. Remaining mentions fill
+  // the missing sides in order, destination first for top-ups.
+  findTransferAccounts(text) {
+    const source = text || '';
+    const sides = { from: null, to: null };
+    const unassigned = [];
+
+    for (const mention of this.findMentions(source)) {
+      const before = source.slice(0, mention.start);
+      if (!sides.from && TRANSFER_FROM_REGEX.test(before)) {
+        sides.from = mention.name;
+      } else if (!sides.to && TRANSFER_TO_REGEX.test(before)) {
+        sides.to = mention.name;
+      } else {
+        unassigned.push(mention.name);
+      }
+    }
+
+    const order = TOP_UP_REGEX.test(source) ? ['to', 'from'] : ['from', 'to'];
+    for (const name of unassigned) {
+      const side = order.find((candidate) => !sides[candidate]);
+      if (!side) {
+        break;
+      }
+      sides[side] = name;
+    }
+
+    return sides;
+  }
+
+  // An account name the model returned that is not in the list is dropped;
+  // say so, since it usually means the account still has to be added.
+  warnIfUnknown(value) {
+    if (value && !this.normalize(value)) {
+      logger.warn('Accounts', `Account "${value}" is not configured; dropping it. Add it with /accounts add.`);
+    }
+  }
+
+  resolve({ override, parsedAccount, textCandidates }) {
+    const normalizedOverride = this.normalize(override);
+    if (override && !normalizedOverride) {
+      logger.warn('Accounts', `Account override "${override}" is not recognized; ignoring override.`);
+    }
+    if (normalizedOverride) {
+      return normalizedOverride;
+    }
+
+    const normalizedParsed = this.normalize(parsedAccount);
+    if (normalizedParsed) {
+      return normalizedParsed;
+    }
+    this.warnIfUnknown(parsedAccount);
+
+    for (const candidate of textCandidates || []) {
+      const detected = this.findInText(candidate);
+      if (detected) {
+        return detected;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = AccountRegistry;
+module.exports.DEFAULT_ACCOUNTS = DEFAULT_ACCOUNTS;
@@ -0,0 +1,85 @@
+const { formatAmount, formatUnconverted } = require('../utils/format');
+const { isUnconverted, normalizeEntryType } = require('./rowSchema');
+
+// How a row moves money, as [account, signed amount] pairs.
+function balanceChanges(record) {
+  if (!Number.isFinite(record.amount)) {
+    return [];
+  }
+
+  switch (normalizeEntryType(record.type)) {
+    case 'income':
+    case 'adjustment':
+      return record.account ? [[record.account, record.amount]] : [];
+    case 'transfer':
+      return [
+        record.account && [record.account, -record.amount],
+        record.toAccount && [record.toAccount, record.amount],
+      ].filter(Boolean);
+    default:
+      return record.account ? [[record.account, -record.amount]] : [];
+  }
+}
+
+// Running balance of every configured account, plus any account that only
+// appears in the log. Each starts from its opening balance, and rows dated
+// before the opening date are ignored, as are rows that could not be
+// converted into `currency`.
+function computeBalances(records, accounts, { currency } = {}) {
+  const balances = new Map();
+  for (const account of accounts) {
+    const opening = Number.isFinite(account.openingBalance) ? account.openingBalance : 0;
+    balances.set(account.name, {
+      opening,
+      since: account.openingDate || null,
+      balance: opening,
+    });
+  }
+
+  for (const record of records) {
+    if (isUnconverted(record, currency)) {
+      continue;
+    }
+    for (const [name, delta] of balanceChanges(record)) {
+      if (!balances.has(name)) {
+        balances.set(name, { opening: 0, since: null, balance: 0 });
+      }
+      const entry = balances.get(name);
+      if (entry.since && record.date && record.date < entry.since) {
+        continue;
+      }
+      entry.balance += delta;
+    }
+  }
+
+  return balances;
+}
+
+// `unconverted` (currency => row count) is reported below the balances.
+function formatBalances(balances, currency, { account, unconverted } = {}) {
+  const unconvertedNote = formatUnconverted(unconverted);
+  const withNote = (text) => (unconvertedNote ? `${text}\n\n${unconvertedNote}` : text);
+
+  if (account) {
+    const entry = balances.get(account) || { opening: 0, since: null, balance: 0 };
+    const opening = entry.since
+      ? `\nOpening balance: ${formatAmount(entry.opening, currency)} on ${entry.since}`
+      : '';
+    return withNote(`Balance of ${account}: ${formatAmount(entry.balance, currency)}${opening}`);
+  }
+
+  if (balances.size === 0) {
+    return 'No accounts yet. Add one with /accounts add <name> <aliases>.';
+  }
+
+  const lines = [...balances.entries()].map(
+    ([name, entry]) => `- ${name}: ${formatAmount(entry.balance, currency)}`
+  );
+  return withNote(`Balances:\n${lines.join('\n')}`);
+}
+
+module.exports = {
+  balanceChanges,
+  computeBalances,
+  formatBalances,
+};
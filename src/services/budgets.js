@@ -0,0 +1,155 @@
+const logger = require('../utils/logger');
+const { formatAmount } = require('../utils/format');
+const { isExpenseRecord, isUnconverted } = require('./rowSchema');
+
+// A warning is sent when spend first reaches 80% of a budget and again when
+// it goes over.
+const THRESHOLDS = [0.8, 1];
+
+function normalizeKey(value) {
+  return value ? String(value).trim().toLowerCase() : null;
+}
+
+function describeBudget(budget) {
+  if (budget.category && budget.account) {
+    return `${budget.category} (${budget.account})`;
+  }
+  return budget.category || `account ${budget.account}`;
+}
+
+function budgetMatches(budget, expense) {
+  if (!isExpenseRecord(expense)) {
+    return false;
+  }
+  if (budget.category && normalizeKey(expense.category) !== normalizeKey(budget.category)) {
+    return false;
+  }
+  if (budget.account && normalizeKey(expense.account) !== normalizeKey(budget.account)) {
+    return false;
+  }
+  return true;
+}
+
+// Monthly limits per category, per account, or per category/account pair.
+// Budgets live in a JSON file that can be edited by hand or from chat.
+class BudgetService {
+  constructor({ store, currency }) {
+    this.store = store;
+    this.currency = currency;
+  }
+
+  listBudgets() {
+    return this.store.read().budgets || [];
+  }
+
+  async setBudget({ category, account, limit }) {
+    const entry = {
+      category: category || null,
+      account: normalizeKey(account),
+      limit,
+    };
+
+    await this.store.update((data) => {
+      const budgets = (data.budgets || []).filter(
+        (budget) =>
+          normalizeKey(budget.category) !== normalizeKey(entry.category) ||
+          normalizeKey(budget.account) !== entry.account
+      );
+      if (limit > 0) {
+        budgets.push(entry);
+      }
+      data.budgets = budgets;
+    });
+
+    logger.info(
+      'Budgets',
+      limit > 0
+        ? `Set budget for ${describeBudget(entry)} to ${limit}`
+        : `Removed budget for ${describeBudget(entry)}`
+    );
+    return entry;
+  }
+
+  getMonthToDate(budget, expenses, month) {
+    return expenses
+      .filter(
+        (expense) =>
+          expense.date &&
+          expense.date.startsWith(month) &&
+          Number.isFinite(expense.amount) &&
+          !isUnconverted(expense, this.currency) &&
+          budgetMatches(budget, expense)
+      )
+      .reduce((sum, expense) => sum + expense.amount, 0);
+  }
+
+  getStatus(expenses, month) {
+    return this.listBudgets().map((budget) => {
+      const spent = this.getMonthToDate(budget, expenses, month);
+      return {
+        budget,
+        spent,
+        ratio: budget.limit > 0 ? spent / budget.limit : 0,
+      };
+    });
+  }
+
+  // Warnings for every budget whose month-to-date spend crossed a threshold
+  // with the newly recorded expenses. `allExpenses` already includes them;
+  // spend before them is the total without their amounts.
+  checkExpenses(newExpenses, allExpenses) {
+    const warnings = [];
+    const seen = new Set();
+
+    for (const expense of newExpenses) {
+      const month = (expense.date || '').slice(0, 7);
+      for (const budget of this.listBudgets()) {
+        const key = `${normalizeKey(budget.category)}|${normalizeKey(budget.account)}|${month}`;
+        if (seen.has(key) || !budgetMatches(budget, expense) || !(budget.limit > 0)) {
+          continue;
+        }
+        seen.add(key);
+
+        const spent = this.getMonthToDate(budget, allExpenses, month);
+        const added = this.getMonthToDate(budget, newExpenses, month);
+        const ratio = spent / budget.limit;
+        const previousRatio = (spent - added) / budget.limit;
+        if (THRESHOLDS.some((threshold) => previousRatio < threshold && ratio >= threshold)) {
+          warnings.push(this.formatWarning(budget, spent, ratio));
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  formatWarning(budget, spent, ratio) {
+    const percent = Math.round(ratio * 100);
+    const detail = `${formatAmount(spent, this.currency)} of ${formatAmount(
+      budget.limit,
+      this.currency
+    )} (${percent}%) spent this month`;
+    if (ratio >= 1) {
+      return `Over budget for ${describeBudget(budget)}: ${detail}.`;
+    }
+    return `Budget warning for ${describeBudget(budget)}: ${detail}.`;
+  }
+
+  formatStatus(expenses, month) {
+    const status = this.getStatus(expenses, month);
+    if (status.length === 0) {
+      return 'No budgets set. Use /budget <category> <amount> to add one.';
+    }
+
+    const lines = status.map(
+      ({ budget, spent, ratio }) =>
+        `- ${describeBudget(budget)}: ${formatAmount(spent, this.currency)} of ${formatAmount(
+          budget.limit,
+          this.currency
+        )} (${Math.round(ratio * 100)}%)`
+    );
+    return `Budgets for ${month}:\n${lines.join('\n')}`;
+  }
+}
+
+module.exports = BudgetService;
@@ -0,0 +1,184 @@
+const logger = require('../utils/logger');
+
+const DEFAULT_CATEGORIES = [
+  'Food',
+  'Groceries',
+  'Transport',
+  'Bills',
+  'Health',
+  'Entertainment',
+  'Shopping',
+  'Travel',
+  'Salary',
+  'Income',
+  'Transfer',
+  'General',
+];
+
+// Common names Gemini uses for the default categories.
+const SYNONYMS = {
+  meal: 'Food',
+  meals: 'Food',
+  dining: 'Food',
+  restaurant: 'Food',
+  restaurants: 'Food',
+  coffee: 'Food',
+  drinks: 'Food',
+  snacks: 'Food',
+  grocery: 'Groceries',
+  supermarket: 'Groceries',
+  transportation: 'Transport',
+  taxi: 'Transport',
+  fuel: 'Transport',
+  parking: 'Transport',
+  utilities: 'Bills',
+  utility: 'Bills',
+  subscription: 'Bills',
+  subscriptions: 'Bills',
+  medical: 'Health',
+  healthcare: 'Health',
+  pharmacy: 'Health',
+  fun: 'Entertainment',
+  leisure: 'Entertainment',
+  clothing: 'Shopping',
+  apparel: 'Shopping',
+  lodging: 'Travel',
+  accommodation: 'Travel',
+  flights: 'Travel',
+  other: 'General',
+  misc: 'General',
+  miscellaneous: 'General',
+};
+
+const MAX_PROMPT_EXAMPLES = 20;
+
+function normalizeKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Keys an entry is remembered under: its merchant and its description.
+function entryKeys(expense) {
+  return [expense.merchant, expense.description]
+    .map(normalizeKey)
+    .filter((key, index, keys) => key && keys.indexOf(key) === index);
+}
+
+// Keeps categories within a fixed list and learns which category each
+// merchant or description belongs to. Corrections made in chat are persisted
+// and win over the log history, which in turn wins over the parser's guess.
+class CategoryClassifier {
+  constructor({ store, categories, loadHistory }) {
+    this.store = store;
+    this.categories = categories && categories.length > 0 ? categories : DEFAULT_CATEGORIES;
+    this.loadHistory = loadHistory;
+    this.history = new Map();
+    this.historyPromise = null;
+  }
+
+  list() {
+    return this.categories;
+  }
+
+  // Maps a free-form category onto the configured list, or null.
+  normalize(value) {
+    const key = normalizeKey(value);
+    if (!key) {
+      return null;
+    }
+    const exact = this.categories.find((category) => normalizeKey(category) === key);
+    if (exact) {
+      return exact;
+    }
+    const synonym = SYNONYMS[key];
+    return synonym && this.categories.includes(synonym) ? synonym : null;
+  }
+
+  fallbackCategory() {
+    return this.normalize('General') || this.categories[this.categories.length - 1];
+  }
+
+  corrections() {
+    return this.store.read().corrections || {};
+  }
+
+  // Recent corrections, used as examples in the Gemini prompt.
+  examples() {
+    return Object.entries(this.corrections())
+      .sort(([, left], [, right]) => (right.updatedAt || 0) - (left.updatedAt || 0))
+      .slice(0, MAX_PROMPT_EXAMPLES)
+      .map(([key, { category }]) => ({ key, category }));
+  }
+
+  async ensureHistory() {
+    if (!this.historyPromise) {
+      this.historyPromise = Promise.resolve()
+        .then(() => this.loadHistory())
+        .then((records) => {
+          this.learn(records);
+          logger.info('Categories', `Learned ${this.history.size} merchant/description categories from the log`);
+        })
+        .catch((error) => {
+          // Try again on the next message rather than caching the failure.
+          this.historyPromise = null;
+          logger.error('Categories', 'Unable to load category history', error);
+        });
+    }
+    return this.historyPromise;
+  }
+
+  // Remembers the categories of logged entries; later rows win.
+  learn(records) {
+    for (const record of records) {
+      const category = this.normalize(record.category);
+      if (!category || (record.type && record.type !== 'expense')) {
+        continue;
+      }
+      for (const key of entryKeys(record)) {
+        this.history.set(key, category);
+      }
+    }
+  }
+
+  async learnCorrection(expense, category) {
+    const keys = entryKeys(expense);
+    await this.store.update((data) => {
+      const corrections = { ...(data.corrections || {}) };
+      for (const key of keys) {
+        corrections[key] = { category, updatedAt: Date.now() };
+      }
+      data.corrections = corrections;
+    });
+    for (const key of keys) {
+      this.history.set(key, category);
+    }
+    logger.info('Categories', `Stored category ${category} for [${keys.join(', ')}]`);
+  }
+
+  async classify(expense) {
+    if (expense.type && expense.type !== 'expense') {
+      return this.normalize(expense.category) || this.normalize(expense.type) || this.fallbackCategory();
+    }
+
+    await this.ensureHistory();
+    const keys = entryKeys(expense);
+    const corrections = this.corrections();
+
+    const corrected = keys.find((key) => corrections[key]);
+    if (corrected) {
+      return this.normalize(corrections[corrected].category) || this.fallbackCategory();
+    }
+
+    const learned = keys.find((key) => this.history.has(key));
+    if (learned) {
+      return this.history.get(learned);
+    }
+
+    return this.normalize(expense.category) || this.fallbackCategory();
+  }
+}
+
+module.exports = CategoryClassifier;
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
@@ -0,0 +1,108 @@
+const { ENTRY_TYPES } = require('./rowSchema');
+const { parseAmount } = require('../utils/amount');
+
+const UNDO_REGEX = /^(?:undo|delete)(?:\s+#?(\d+))?$/i;
+const EDIT_REGEX = /^edit\s+(?:#?(\d+)\s+)?([a-z_]+)\s+(.+)$/i;
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const EDITABLE_FIELDS = [
+  'amount',
+  'currency',
+  'category',
+  'description',
+  'date',
+  'account',
+  'merchant',
+  'type',
+  'to_account',
+];
+
+function normalizeFieldValue(field, rawValue, options) {
+  const value = rawValue.trim();
+
+  if (field === 'amount') {
+    const parsed = parseAmount(value, options);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      throw new Error(`"${value}" is not a valid amount`);
+    }
+    return parsed;
+  }
+
+  if (field === 'date') {
+    if (!ISO_DATE_REGEX.test(value)) {
+      throw new Error('Dates must use the YYYY-MM-DD format');
+    }
+    return value;
+  }
+
+  if (field === 'currency') {
+    if (!/^[a-z]{3}$/i.test(value)) {
+      throw new Error('Currencies must be a 3-letter ISO code such as IDR or USD');
+    }
+    return value.toUpperCase();
+  }
+
+  if (field === 'account' || field === 'to_account') {
+    return value.toLowerCase();
+  }
+
+  if (field === 'type') {
+    const type = value.toLowerCase();
+    if (!ENTRY_TYPES.includes(type)) {
+      throw new Error(`Type must be one of: ${ENTRY_TYPES.join(', ')}`);
+    }
+    return type;
+  }
+
+  return value;
+}
+
+function parseItem(value) {
+  if (!value) {
+    return null;
+  }
+  const item = Number.parseInt(value, 10);
+  return item > 0 ? item : null;
+}
+
+function parseCorrectionCommand(text, { locale, currency } = {}) {
+  const trimmed = typeof text === 'string' ? text.trim() : '';
+  if (!trimmed) {
+    return null;
+  }
+
+  const undoMatch = UNDO_REGEX.exec(trimmed);
+  if (undoMatch) {
+    return { action: 'undo', item: parseItem(undoMatch[1]) };
+  }
+
+  const match = EDIT_REGEX.exec(trimmed);
+  if (!match) {
+    return null;
+  }
+
+  const item = parseItem(match[1]);
+  const field = match[2].toLowerCase();
+  if (!EDITABLE_FIELDS.includes(field)) {
+    return {
+      action: 'invalid',
+      reason: `Unknown field "${field}". Editable fields: ${EDITABLE_FIELDS.join(', ')}.`,
+    };
+  }
+
+  try {
+    return {
+      action: 'edit',
+      item,
+      field,
+      value: normalizeFieldValue(field, match[3], { locale, currency }),
+    };
+  } catch (error) {
+    return { action: 'invalid', reason: error.message };
+  }
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  parseCorrectionCommand,
+};
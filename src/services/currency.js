@@ -0,0 +1,101 @@
+const logger = require('../utils/logger');
+
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+
+function normalizeCode(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Converts amounts into the default currency. Rates are "units of the default
+// currency per unit of the foreign one" and come from the rates file; rates set
+// from chat with /rate are kept separately and take precedence.
+class CurrencyConverter {
+  constructor({ store, baseCurrency }) {
+    this.store = store;
+    this.baseCurrency = normalizeCode(baseCurrency);
+  }
+
+  listRates() {
+    const { rates = {}, overrides = {} } = this.store.read();
+    const codes = new Set([...Object.keys(rates), ...Object.keys(overrides)].map(normalizeCode));
+    return [...codes].sort().map((code) => ({
+      currency: code,
+      rate: this.getRate(code),
+      override: overrides[code] !== undefined,
+    }));
+  }
+
+  getRate(currency) {
+    const code = normalizeCode(currency);
+    if (!code || code === this.baseCurrency) {
+      return 1;
+    }
+
+    const { rates = {}, overrides = {} } = this.store.read();
+    const rate = overrides[code] ?? rates[code];
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+  }
+
+  async setRate(currency, rate) {
+    const code = normalizeCode(currency);
+    if (!CURRENCY_CODE_REGEX.test(code)) {
+      throw new Error(`"${currency}" is not a 3-letter currency code`);
+    }
+
+    await this.store.update((data) => {
+      data.overrides = { ...(data.overrides || {}), [code]: rate };
+    });
+    logger.info('Currency', `Set ${code} rate override to ${rate} ${this.baseCurrency}`);
+  }
+
+  async clearRate(currency) {
+    const code = normalizeCode(currency);
+    let removed = false;
+    await this.store.update((data) => {
+      const overrides = { ...(data.overrides || {}) };
+      removed = overrides[code] !== undefined;
+      delete overrides[code];
+      data.overrides = overrides;
+    });
+    if (removed) {
+      logger.info('Currency', `Cleared ${code} rate override`);
+    }
+    return removed;
+  }
+
+  // Sets amount/currency to the converted values and keeps what was parsed in
+  // originalAmount/originalCurrency. Without a known rate the expense stays in
+  // its own currency and exchangeRate is null.
+  convert(expense) {
+    const originalAmount = expense.originalAmount ?? expense.amount;
+    const originalCurrency = normalizeCode(expense.originalCurrency || expense.currency) || this.baseCurrency;
+    const rate = this.getRate(originalCurrency);
+
+    if (rate === null) {
+      logger.warn('Currency', `No exchange rate for ${originalCurrency}; keeping "${expense.description}" unconverted`);
+      return {
+        ...expense,
+        amount: originalAmount,
+        currency: originalCurrency,
+        originalAmount,
+        originalCurrency,
+        exchangeRate: null,
+      };
+    }
+
+    return {
+      ...expense,
+      amount: roundAmount(originalAmount * rate),
+      currency: this.baseCurrency,
+      originalAmount,
+      originalCurrency,
+      exchangeRate: rate,
+    };
+  }
+}
+
+module.exports = CurrencyConverter;
@@ -0,0 +1,60 @@
+const { aggregateExpenses, formatBreakdown } = require('./summary');
+const { formatAmount, formatUnconverted } = require('../utils/format');
+const { shiftDate } = require('../utils/date');
+const { isExpenseRecord } = require('./rowSchema');
+
+function selectRange(expenses, startDate, endDate) {
+  return expenses.filter(
+    (expense) =>
+      expense.date &&
+      expense.date >= startDate &&
+      expense.date <= endDate &&
+      Number.isFinite(expense.amount) &&
+      isExpenseRecord(expense)
+  );
+}
+
+function buildDailyDigest(expenses, date, currency) {
+  const totals = aggregateExpenses(selectRange(expenses, date, date), { currency });
+  const heading = `Daily digest for ${date}`;
+  const unconvertedNote = formatUnconverted(totals.unconverted);
+
+  if (totals.count === 0) {
+    return [`${heading}\nNo expenses recorded today.`, unconvertedNote].filter(Boolean).join('\n\n');
+  }
+
+  return [
+    heading,
+    `Total: ${formatAmount(totals.total, currency)} across ${totals.count} expense(s)`,
+    formatBreakdown('By category', totals.byCategory, currency),
+    unconvertedNote,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function buildWeeklyDigest(expenses, endDate, currency) {
+  const startDate = shiftDate(endDate, -6);
+  const totals = aggregateExpenses(selectRange(expenses, startDate, endDate), { currency });
+  const heading = `Weekly digest for ${startDate} to ${endDate}`;
+  const unconvertedNote = formatUnconverted(totals.unconverted);
+
+  if (totals.count === 0) {
+    return [`${heading}\nNo expenses recorded this week.`, unconvertedNote].filter(Boolean).join('\n\n');
+  }
+
+  return [
+    heading,
+    `Total: ${formatAmount(totals.total, currency)} across ${totals.count} expense(s)`,
+    formatBreakdown('By category', totals.byCategory, currency),
+    formatBreakdown('By day', totals.byDay, currency, { sortByKey: true }),
+    unconvertedNote,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  buildDailyDigest,
+  buildWeeklyDigest,
+};
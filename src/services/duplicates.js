@@ -0,0 +1,78 @@
+const { zonedTimeToTimestamp } = require('../utils/date');
+const { normalizeEntryType } = require('./rowSchema');
+
+const LOCAL_TIMESTAMP_REGEX = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/;
+
+function parseLocalTimestamp(value, timezone) {
+  const match = LOCAL_TIMESTAMP_REGEX.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute] = match.slice(1).map((part) => Number.parseInt(part, 10));
+  return zonedTimeToTimestamp({ year, month, day, hour, minute }, timezone);
+}
+
+function normalizeText(value) {
+  return (value || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function merchantKey(expense) {
+  return normalizeText(expense.merchant || expense.description);
+}
+
+// A row logged with a caption note has "<description> - <note>" as its
+// description, so any part before a " - " also names the row.
+function rowKeys(row) {
+  if (row.merchant) {
+    return [merchantKey(row)];
+  }
+  const description = row.description || '';
+  const keys = [normalizeText(description)];
+  for (let index = description.indexOf(' - '); index !== -1; index = description.indexOf(' - ', index + 1)) {
+    keys.push(normalizeText(description.slice(0, index)));
+  }
+  return keys;
+}
+
+// `expense` is a newly parsed entry (notes are only added when it is
+// written), `row` a recorded one.
+function isSameExpense(expense, row) {
+  return (
+    expense.date === row.date &&
+    normalizeEntryType(expense.type) === normalizeEntryType(row.type) &&
+    Number.isFinite(expense.amount) &&
+    Number.isFinite(row.amount) &&
+    Math.abs(expense.amount - row.amount) < 0.005 &&
+    rowKeys(row).includes(merchantKey(expense))
+  );
+}
+
+// Pairs each new expense with an already recorded row that has the same
+// amount, merchant (or description) and date, logged from a message sent
+// within windowMs of this one.
+function findDuplicates(expenses, existing, { timestampMs, windowMs, timezone }) {
+  const duplicates = [];
+
+  for (const expense of expenses) {
+    const match = existing.find((row) => {
+      if (!isSameExpense(expense, row)) {
+        return false;
+      }
+      const rowTimestamp = parseLocalTimestamp(row.timestamp, timezone);
+      return rowTimestamp !== null && Math.abs(rowTimestamp - timestampMs) <= windowMs;
+    });
+
+    if (match) {
+      duplicates.push({ expense, match });
+    }
+  }
+
+  return duplicates;
+}
+
+module.exports = {
+  findDuplicates,
+};
@@ -1,238 +1,82 @@
 const GeminiService = require('./gemini');
+const GeminiTranscriber = require('./transcriber');
 const logger = require('../utils/logger');
-
-const OFFSET_TIMEZONE_REGEX = /^(?:GMT|UTC)([+-])(\d{1,2})(?::(\d{2}))?$/i;
-
-function parseOffsetTimezone(value) {
-  if (!value) {
-    return null;
-  }
-
-  const match = OFFSET_TIMEZONE_REGEX.exec(value.trim());
-  if (!match) {
-    return null;
-  }
-
-  const sign = match[1] === '-' ? -1 : 1;
-  const hours = Number.parseInt(match[2], 10);
-  const minutes = match[3] ? Number.parseInt(match[3], 10) : 0;
-
-  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
-    return null;
-  }
-
-  return sign * (hours * 60 + minutes);
-}
-
-function formatDateFromTimestamp(timestampMs, timezone) {
-  const date = new Date(timestampMs);
-
+const { formatDateFromTimestamp } = require('../utils/date');
+const { findDateInText } = require('../utils/dateText');
+const { parseFallbackExpenses } = require('./fallbackParser');
+const { extractPdfText, isPdf } = require('./pdfText');
+
+// When Gemini was unreachable and the fallback cannot help either, surface
+// the retryable Gemini error so the message can be queued and parsed later.
+function fallbackAfterGeminiError(geminiError, runFallback) {
   try {
-    const formatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit',
-    });
-    const parts = formatter.formatToParts(date);
-    const partMap = Object.fromEntries(parts.map((p) => [p.type, p.value]));
-    return `${partMap.year}-${partMap.month}-${partMap.day}`;
-  } catch (error) {
-    const offsetMinutes = parseOffsetTimezone(timezone);
-
-    if (offsetMinutes !== null) {
-      const adjusted = new Date(date.getTime() + offsetMinutes * 60 * 1000);
-      return adjusted.toISOString().slice(0, 10);
-    }
-
-    logger.warn(
-      'ExpenseParser',
-      `Invalid timezone "${timezone}" provided. Falling back to UTC.`
-    );
-    return new Date(timestampMs).toISOString().slice(0, 10);
-  }
-}
-
-function fallbackParseText(text, fallbackDate, defaultCurrency) {
-  const match =
-    text &&
-    text.match(
-      /^(?<description>[\p{L}\s]+?)\s*(?<amount>[0-9]+[\d.,]*)\s*(?<currency>[A-Za-z]{3}|[$€£])?/u
-    );
-
-  if (!match) {
-    throw new Error('Fallback parser could not understand the message');
-  }
-
-  const { description, amount, currency } = match.groups;
-  const sanitizedAmount = Number.parseFloat(amount.replace(/,/g, ''));
-
-  logger.info(
-    'ExpenseParser',
-    `Fallback parser extracted description="${description.trim()}" amount=${sanitizedAmount} currency=${currency || 'default'}`
-  );
-
-  return {
-    date: fallbackDate,
-    description: description.trim(),
-    category: 'General',
-    amount: sanitizedAmount,
-    currency: normalizeCurrency(currency, defaultCurrency),
-    merchant: null,
-    account: null,
-  };
-}
-
-function normalizeCurrency(currency, defaultCurrency) {
-  if (!currency) {
-    return defaultCurrency;
-  }
-
-  const trimmed = currency.trim().toUpperCase();
-  if (trimmed === '$') return 'USD';
-  if (trimmed === '€') return 'EUR';
-  if (trimmed === '£') return 'GBP';
-  if (trimmed.length === 3) return trimmed;
-  return defaultCurrency;
-}
-const ACCOUNT_DEFINITIONS = [
-  { name: 'cash', aliases: ['cash', 'tunai'] },
-  { name: 'gopay', aliases: ['gopay', 'go-pay', 'go pay', 'gojek pay'] },
-  { name: 'shopeepay', aliases: ['shopeepay', 'shopee pay', 'shopee-pay'] },
-  { name: 'isaku', aliases: ['isaku'] },
-  { name: 'bca', aliases: ['bca', 'bank central asia', 'bank bca'] },
-  {
-    name: 'flazz emoney',
-    aliases: ['flazz emoney', 'flazz', 'flazz e-money', 'emoney', 'e-money', 'bca flazz', 'flazz card'],
-  },
-  { name: 'superbank', aliases: ['superbank', 'super bank'] },
-  {
-    name: 'jago cloudthingy',
-    aliases: ['jago cloudthingy', 'jago', 'bank jago', 'cloudthingy', 'jago cloud thingy'],
-  },
-];
-
-function escapeRegExp(value) {
-  return value.replace(/[-/\^$*+?.()|[\]{}]/g, '\$&');
-}
-
-const ACCOUNT_PATTERNS = ACCOUNT_DEFINITIONS.map(({ name, aliases }) => {
-  const uniqueAliases = Array.from(new Set([name, ...aliases]));
-  return {
-    name,
-    regexes: uniqueAliases.map((alias) =>
-      new RegExp('\\b' + escapeRegExp(alias) + '\b', 'i')
-    ),
-  };
-});
-
-function normalizeAccountName(value) {
-  if (!value) {
-    return null;
-  }
-
-  const normalized = value.toString().trim().toLowerCase();
-  if (!normalized) {
-    return null;
-  }
-
-  for (const { name, aliases } of ACCOUNT_DEFINITIONS) {
-    if (name === normalized) {
-      return name;
-    }
-
-    for (const alias of aliases) {
-      if (alias.toLowerCase() === normalized) {
-        return name;
-      }
+    return runFallback();
+  } catch (fallbackError) {
+    if (geminiError.retryable) {
+      throw geminiError;
     }
+    throw fallbackError;
   }
-
-  return null;
 }
 
-function findAccountInText(text) {
-  if (!text) {
-    return null;
-  }
-
-  for (const { name, regexes } of ACCOUNT_PATTERNS) {
-    for (const regex of regexes) {
-      if (regex.test(text)) {
-        return name;
-      }
-    }
-  }
-
-  return null;
-}
-
-function resolveAccount({ override, parsedAccount, textCandidates }) {
-  const normalizedOverride = normalizeAccountName(override);
-  if (override && !normalizedOverride) {
-    logger.warn(
-      'ExpenseParser',
-      `Account override "${override}" is not recognized; ignoring override.`
-    );
-  }
-  if (normalizedOverride) {
-    return normalizedOverride;
-  }
-
-  const normalizedParsed = normalizeAccountName(parsedAccount);
-  if (normalizedParsed) {
-    return normalizedParsed;
-  }
-
-  for (const candidate of textCandidates || []) {
-    if (!candidate) {
-      continue;
-    }
-
-    const detected = findAccountInText(candidate);
-    if (detected) {
-      return detected;
-    }
-  }
-
-  return null;
-}
-
-
-
 class ExpenseParser {
-  constructor({ config }) {
+  constructor({ config, accountRegistry, currencyConverter, categoryClassifier, transcriber }) {
     this.defaultCurrency = config.defaults.currency;
     this.timezone = config.defaults.timezone;
+    this.locale = config.defaults.locale;
+    this.dateOrder = config.dates.order;
+    this.accountRegistry = accountRegistry;
+    this.currencyConverter = currencyConverter;
+    this.categoryClassifier = categoryClassifier;
     this.geminiService = new GeminiService({
       apiKey: config.gemini.apiKey,
       model: config.gemini.model,
-      defaults: { currency: this.defaultCurrency },
+      defaults: { currency: this.defaultCurrency, locale: this.locale },
+      extractionMode: config.gemini.extractionMode,
+      accountRegistry,
+      categoryClassifier,
+      dateOrder: this.dateOrder,
     });
+    this.transcriber =
+      transcriber || new GeminiTranscriber({ apiKey: config.gemini.apiKey, model: config.gemini.model });
+  }
+
+  async transcribe(media) {
+    logger.info('ExpenseParser', `Transcribing voice note (${media.mimeType})`);
+    return this.transcriber.transcribe(media);
+  }
+
+  fallbackContext(timestampMs, fallbackDate, currency) {
+    return {
+      defaultCurrency: currency,
+      locale: this.locale,
+      timezone: this.timezone,
+      dateOrder: this.dateOrder,
+      timestampMs,
+      fallbackDate,
+      accountRegistry: this.accountRegistry,
+    };
   }
 
-  async parse({ text, media, timestampMs, accountOverride, rawText }) {
+  // `currency` and `defaultAccount` come from the sender's route and replace
+  // the configured defaults for this message.
+  async parse({ text, media, timestampMs, accountOverride, rawText, currency, defaultAccount }) {
     const fallbackDate = formatDateFromTimestamp(timestampMs, this.timezone);
+    const defaultCurrency = currency || this.defaultCurrency;
     const sanitizedText = text || '';
     const originalText = rawText || text || '';
-    let expense;
+    let expenses;
 
     if (media) {
       try {
-        logger.info('ExpenseParser', 'Attempting image-based extraction via Gemini');
-        expense = await this.geminiService.parseImageExpense(
-          {
-            base64Data: media.base64Data,
-            mimeType: media.mimeType,
-            accompanyingText: sanitizedText,
-          },
-          fallbackDate
-        );
+        expenses = await this.parseMedia(media, sanitizedText, fallbackDate, defaultCurrency);
       } catch (error) {
-        logger.error('ExpenseParser', 'Gemini image parsing failed', error);
-        logger.info('ExpenseParser', 'Falling back to text parser after image failure');
+        logger.error('ExpenseParser', 'Gemini media parsing failed', error);
+        logger.info('ExpenseParser', 'Falling back to text parser after media failure');
         if (sanitizedText) {
-          expense = fallbackParseText(sanitizedText, fallbackDate, this.defaultCurrency);
+          expenses = fallbackAfterGeminiError(error, () =>
+            parseFallbackExpenses(sanitizedText, this.fallbackContext(timestampMs, fallbackDate, defaultCurrency))
+          );
         } else {
           throw error;
         }
@@ -240,27 +84,120 @@ class ExpenseParser {
     } else {
       try {
         logger.info('ExpenseParser', 'Attempting text-based extraction via Gemini');
-        expense = await this.geminiService.parseTextExpense(sanitizedText, fallbackDate);
+        expenses = await this.geminiService.parseTextExpenses(sanitizedText, fallbackDate, {
+          currency: defaultCurrency,
+        });
       } catch (error) {
         logger.error('ExpenseParser', 'Gemini text parsing failed', error);
-        logger.info('ExpenseParser', 'Falling back to regex parser for text message');
-        expense = fallbackParseText(sanitizedText, fallbackDate, this.defaultCurrency);
+        logger.info('ExpenseParser', 'Falling back to the offline parser for text message');
+        expenses = fallbackAfterGeminiError(error, () =>
+          parseFallbackExpenses(sanitizedText, this.fallbackContext(timestampMs, fallbackDate, defaultCurrency))
+        );
       }
     }
 
-    const account = resolveAccount({
-      override: accountOverride,
-      parsedAccount: expense.account,
-      textCandidates: [sanitizedText, originalText, expense.description, expense.merchant],
+    // The model occasionally ignores "kemarin" or "12/03" and falls back to
+    // the message day; a date found locally in the text takes precedence.
+    const textDate = findDateInText(sanitizedText, {
+      timestampMs,
+      timezone: this.timezone,
+      order: this.dateOrder,
     });
 
-    expense.account = account;
+    for (const expense of expenses) {
+      if (textDate && expense.date === fallbackDate && textDate.date !== fallbackDate) {
+        logger.info('ExpenseParser', `Using date ${textDate.date} from the message for "${expense.description}"`);
+        expense.date = textDate.date;
+      }
 
-    if (account) {
-      logger.info('ExpenseParser', `Resolved account "${account}" for parsed payload.`);
+      if (this.categoryClassifier) {
+        const category = await this.categoryClassifier.classify(expense);
+        if (category !== expense.category) {
+          logger.info('ExpenseParser', `Categorized "${expense.description}" as ${category} (was ${expense.category})`);
+          expense.category = category;
+        }
+      }
+
+      if (expense.type === 'transfer') {
+        this.resolveTransferAccounts(expense, { accountOverride, text: sanitizedText });
+        continue;
+      }
+
+      const account = this.accountRegistry.resolve({
+        override: accountOverride,
+        parsedAccount: expense.account,
+        textCandidates: [sanitizedText, originalText, expense.description, expense.merchant],
+      }) || this.accountRegistry.normalize(defaultAccount);
+
+      expense.account = account;
+      expense.toAccount = null;
+
+      if (account) {
+        logger.info(
+          'ExpenseParser',
+          `Resolved account "${account}" for "${expense.description}".`
+        );
+      }
+    }
+
+    // Drafts without an amount are converted once the amount is known.
+    return expenses.map((expense) =>
+      expense.amount === null ? expense : this.currencyConverter.convert(expense)
+    );
+  }
+
+  // PDFs with a text layer (e-invoices, e-statements) are read locally and
+  // parsed as text; scanned PDFs and images are sent to Gemini as they are.
+  async parseMedia(media, accompanyingText, fallbackDate, currency) {
+    const documentText = isPdf(media) ? await extractPdfText(media.base64Data) : '';
+    if (documentText) {
+      logger.info('ExpenseParser', 'Attempting document text extraction via Gemini');
+      return this.geminiService.parseTextExpenses(
+        accompanyingText ? `${documentText}\n\nAdditional user notes: ${accompanyingText}` : documentText,
+        fallbackDate,
+        { currency }
+      );
+    }
+
+    logger.info('ExpenseParser', `Attempting ${isPdf(media) ? 'document' : 'image'}-based extraction via Gemini`);
+    return this.geminiService.parseImageExpenses(
+      {
+        base64Data: media.base64Data,
+        mimeType: media.mimeType,
+        accompanyingText,
+      },
+      fallbackDate,
+      { currency }
+    );
+  }
+
+  // An acc: directive names the source account of a transfer. When the model
+  // did not return both sides, the from/to wording of the message decides.
+  resolveTransferAccounts(expense, { accountOverride, text }) {
+    const override = this.accountRegistry.normalize(accountOverride);
+    const parsedFrom = override || this.accountRegistry.normalize(expense.account);
+    const parsedTo = this.accountRegistry.normalize(expense.toAccount);
+    this.accountRegistry.warnIfUnknown(expense.account);
+    this.accountRegistry.warnIfUnknown(expense.toAccount);
+
+    if (parsedFrom && parsedTo) {
+      expense.account = parsedFrom;
+      expense.toAccount = parsedTo;
+    } else {
+      const mentioned = this.accountRegistry.findTransferAccounts(text);
+      expense.account = override || mentioned.from || parsedFrom;
+      expense.toAccount = parsedTo || mentioned.to;
+    }
+    if (expense.toAccount === expense.account) {
+      expense.toAccount = null;
     }
 
-    return expense;
+    logger.info(
+      'ExpenseParser',
+      `Resolved transfer "${expense.description}" from "${expense.account || 'unknown'}" to "${
+        expense.toAccount || 'unknown'
+      }".`
+    );
   }
 }
 
@@ -0,0 +1,306 @@
+const logger = require('../utils/logger');
+const { AMOUNT_PATTERN, CURRENCY_CODES, parseAmount } = require('../utils/amount');
+const { findDateInText } = require('../utils/dateText');
+
+// Rule-based parser used when Gemini is unavailable. It reads messages such
+// as "coffee 25k", "25rb kopi kemarin", "12/03 dinner 80k", "lunch at Sushi Tei 120.000 bca" or
+// "taxi 12.50 SGD yesterday" without any network access.
+
+const CURRENCY_SYMBOLS = [
+  ['S$', 'SGD'],
+  ['RM', 'MYR'],
+  ['Rp', 'IDR'],
+  ['US$', 'USD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₩', 'KRW'],
+  ['฿', 'THB'],
+];
+
+const CURRENCY_WORDS = {
+  rupiah: 'IDR',
+  dollar: 'USD',
+  dollars: 'USD',
+  dolar: 'USD',
+  euro: 'EUR',
+  euros: 'EUR',
+  yen: 'JPY',
+  ringgit: 'MYR',
+  baht: 'THB',
+  won: 'KRW',
+  pound: 'GBP',
+  pounds: 'GBP',
+};
+
+const CATEGORY_KEYWORDS = {
+  Food: [
+    'makan', 'makanan', 'lunch', 'dinner', 'breakfast', 'brunch', 'sarapan', 'makan siang', 'makan malam',
+    'coffee', 'kopi', 'cafe', 'snack', 'jajan', 'bakso', 'nasi', 'mie', 'ayam', 'sate', 'pizza', 'burger',
+    'restaurant', 'resto', 'warung', 'teh', 'tea', 'boba', 'gofood', 'grabfood', 'shopeefood', 'starbucks',
+  ],
+  Groceries: [
+    'groceries', 'grocery', 'belanja bulanan', 'supermarket', 'indomaret', 'alfamart', 'alfamidi',
+    'superindo', 'hypermart', 'sayur', 'buah', 'beras', 'telur', 'pasar',
+  ],
+  Transport: [
+    'transport', 'taxi', 'taksi', 'grab', 'gojek', 'gocar', 'goride', 'ojek', 'ojol', 'uber', 'bus',
+    'busway', 'transjakarta', 'krl', 'mrt', 'lrt', 'kereta', 'train', 'parkir', 'parking', 'toll', 'tol',
+    'bensin', 'fuel', 'gas', 'pertamax', 'pertalite', 'shell',
+  ],
+  Bills: [
+    'listrik', 'pln', 'token listrik', 'electricity', 'tagihan air', 'pdam', 'water bill', 'internet', 'wifi',
+    'indihome', 'pulsa', 'paket data', 'kuota', 'bpjs', 'insurance', 'asuransi', 'rent', 'sewa', 'kos', 'kost',
+  ],
+  Health: ['obat', 'apotek', 'pharmacy', 'dokter', 'doctor', 'clinic', 'klinik', 'hospital', 'rumah sakit', 'vitamin'],
+  Entertainment: ['netflix', 'spotify', 'youtube', 'bioskop', 'cinema', 'movie', 'film', 'game', 'concert', 'konser'],
+  Shopping: ['shopee', 'tokopedia', 'lazada', 'baju', 'clothes', 'sepatu', 'shoes', 'uniqlo', 'zara'],
+  Travel: ['hotel', 'flight', 'pesawat', 'tiket pesawat', 'airbnb', 'traveloka', 'tiket.com'],
+  Salary: ['gaji', 'salary', 'payroll'],
+};
+
+const TRANSFER_KEYWORDS_REGEX = /\b(?:top\s*-?\s*up|isi\s+saldo|transfer|tf|pindah(?:\s+dana)?|tarik\s+tunai|withdraw(?:al)?)\b/i;
+const INCOME_KEYWORDS_REGEX = /\b(?:gaji|salary|income|refund|cashback|bonus|received|terima|dapat|pemasukan)\b/i;
+const MERCHANT_REGEX = /(?<![\p{L}\p{N}])(?:(?:at|di)\s+|@\s*)([\p{L}\p{N}&'.-]+(?:\s+[\p{Lu}\p{N}&'.-][\p{L}\p{N}&'.-]*)*)/u;
+const FILLER_WORDS_REGEX = /(?<![\p{L}\p{N}])(?:for|for the|buat|untuk|utk|beli|bayar|pay|paid|spent|via|pakai|pake|from|dari|to|ke|on)(?![\p{L}\p{N}])/giu;
+
+function escapeRegExp(value) {
+  return value.replace(/[/\\^$*+?.()|[\]{}]/g, '\\$&');
+}
+
+function wordRegex(words) {
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${words.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    'iu'
+  );
+}
+
+const CATEGORY_RULES = Object.entries(CATEGORY_KEYWORDS).map(([category, keywords]) => ({
+  category,
+  regex: wordRegex(keywords),
+}));
+// Only the codes in CURRENCY_CODES count, so "lunch 50k bca" keeps the
+// default currency. A code may touch the number, as in "USD12.50".
+const CURRENCY_WORD_REGEX = new RegExp(
+  `(?<![\\p{L}\\p{N}])(${[...Object.keys(CURRENCY_WORDS), ...CURRENCY_CODES].join('|')})(?![\\p{L}])`,
+  'iu'
+);
+
+function detectEntryType(text) {
+  if (TRANSFER_KEYWORDS_REGEX.test(text)) {
+    return 'transfer';
+  }
+  if (INCOME_KEYWORDS_REGEX.test(text)) {
+    return 'income';
+  }
+  return 'expense';
+}
+
+function detectCategory(text, type) {
+  if (type === 'transfer') {
+    return 'Transfer';
+  }
+  const rule = CATEGORY_RULES.find(({ regex }) => regex.test(text));
+  if (rule) {
+    return rule.category;
+  }
+  return type === 'income' ? 'Income' : 'General';
+}
+
+// Blanks out [start, end) spans, keeping every other position unchanged.
+function removeSpans(text, spans) {
+  let result = text;
+  for (const { start, end } of spans) {
+    result = `${result.slice(0, start)}${' '.repeat(end - start)}${result.slice(end)}`;
+  }
+  return result;
+}
+
+// Letter symbols such as "Rp" or "RM" only count directly before a number.
+const CURRENCY_SYMBOL_RULES = CURRENCY_SYMBOLS.map(([symbol, currency]) => ({
+  currency,
+  regex: /^[A-Za-z]/.test(symbol)
+    ? new RegExp(`(?<![\\p{L}])${escapeRegExp(symbol)}\\.?(?=\\s*\\d)`, 'iu')
+    : new RegExp(escapeRegExp(symbol), 'u'),
+}));
+
+function findCurrency(text) {
+  for (const { currency, regex } of CURRENCY_SYMBOL_RULES) {
+    const match = regex.exec(text);
+    if (match) {
+      return { currency, start: match.index, end: match.index + match[0].length };
+    }
+  }
+
+  const match = CURRENCY_WORD_REGEX.exec(text);
+  if (match) {
+    const word = match[1].toLowerCase();
+    return {
+      currency: CURRENCY_WORDS[word] || word.toUpperCase(),
+      start: match.index,
+      end: match.index + match[0].length,
+    };
+  }
+
+  return null;
+}
+
+// Shorthand ("100rb") or thousands separators ("25.000") mark a number as
+// an amount rather than a count or a day.
+function looksLikeAmount({ raw }) {
+  return /[\p{L}]$|\d[.,]\d{3}(?!\d)/u.test(raw);
+}
+
+// Picks the amount. Numbers that look like amounts beat bare ones; among
+// equals, a number at the very start ("25k coffee") or end ("coffee 25k")
+// wins, otherwise the largest.
+function findAmount(text, options) {
+  const matches = [...text.matchAll(new RegExp(AMOUNT_PATTERN, 'giu'))].map((match) => ({
+    raw: match[0],
+    start: match.index,
+    end: match.index + match[0].length,
+    value: parseAmount(match[0], options),
+  }));
+  const candidates = matches.filter(({ value }) => value !== null && value > 0);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const likely = candidates.filter(looksLikeAmount);
+  const pool = likely.length > 0 ? likely : candidates;
+  const trimmedEnd = text.trimEnd().length;
+  const edge = pool.find(
+    ({ start, end }) => text.slice(0, start).trim() === '' || end >= trimmedEnd
+  );
+  if (edge) {
+    return edge;
+  }
+  return pool.reduce((best, candidate) => (candidate.value > best.value ? candidate : best));
+}
+
+function cleanDescription(text) {
+  return text
+    .replace(FILLER_WORDS_REGEX, ' ')
+    .replace(/[,;:()\-–]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function capitalize(text) {
+  return text ? `${text.charAt(0).toUpperCase()}${text.slice(1)}` : text;
+}
+
+// The date and currency come out first, so "tanggal 5" or the "Rp" in
+// "Rp25.000" is never mistaken for (part of) the amount.
+function findAmountInSegment(segment, context) {
+  const { defaultCurrency, locale, timestampMs, timezone, dateOrder } = context;
+  const spans = [];
+
+  const dateMatch = findDateInText(segment, { timestampMs, timezone, order: dateOrder });
+  if (dateMatch) {
+    spans.push(dateMatch);
+  }
+  const currencyMatch = findCurrency(removeSpans(segment, spans));
+  if (currencyMatch) {
+    spans.push(currencyMatch);
+  }
+  const currency = currencyMatch ? currencyMatch.currency : defaultCurrency;
+
+  const amountMatch = findAmount(removeSpans(segment, spans), { locale, currency });
+  if (amountMatch) {
+    spans.push(amountMatch);
+  }
+  return { dateMatch, currency, amountMatch, spans };
+}
+
+function parseSegment(segment, context) {
+  const { fallbackDate, accountRegistry } = context;
+  const { dateMatch, currency, amountMatch, spans } = findAmountInSegment(segment, context);
+  if (!amountMatch) {
+    return null;
+  }
+
+  // Whatever is left after the date, currency, amount and account names
+  // becomes the description and merchant.
+  let rest = removeSpans(segment, spans);
+  if (accountRegistry) {
+    rest = removeSpans(rest, accountRegistry.findMentions(rest));
+  }
+
+  let merchant = null;
+  const merchantMatch = MERCHANT_REGEX.exec(rest);
+  if (merchantMatch) {
+    merchant = cleanDescription(merchantMatch[1]) || null;
+    rest = removeSpans(rest, [{ start: merchantMatch.index, end: merchantMatch.index + merchantMatch[0].length }]);
+  }
+
+  const type = detectEntryType(segment);
+  const description = capitalize(cleanDescription(rest)) || merchant || (type === 'expense' ? 'Expense' : capitalize(type));
+
+  return {
+    type,
+    date: dateMatch ? dateMatch.date : fallbackDate,
+    description,
+    category: detectCategory(segment, type),
+    amount: amountMatch.value,
+    currency,
+    merchant,
+    account: null,
+    toAccount: null,
+  };
+}
+
+// Splits "coffee 25k, parking 5k" style messages into one segment per entry.
+// Commas inside numbers ("1,250,000") have no space after them and are kept.
+// A part without an amount is joined to the next one with its original
+// separator, so "coffee and cake 25k" stays a single entry.
+function splitSegments(text, context) {
+  const pieces = (text || '').split(/(\n|;|,\s+|\s+(?:and|dan|&)\s+)/iu);
+  const segments = [];
+  let carry = '';
+
+  for (let index = 0; index < pieces.length; index += 2) {
+    const part = pieces[index].trim();
+    if (!part) {
+      continue;
+    }
+    const candidate = carry ? `${carry}${pieces[index - 1]}${part}` : part;
+    if (findAmountInSegment(part, context).amountMatch) {
+      segments.push(candidate);
+      carry = '';
+    } else {
+      carry = candidate;
+    }
+  }
+  return segments;
+}
+
+function parseFallbackExpenses(text, context) {
+  const expenses = [];
+
+  for (const segment of splitSegments(text, context)) {
+    const expense = parseSegment(segment, context);
+    if (expense) {
+      logger.info(
+        'FallbackParser',
+        `Extracted ${expense.type} "${expense.description}" ${expense.amount} ${expense.currency} on ${expense.date} (${expense.category})`
+      );
+      expenses.push(expense);
+    } else {
+      logger.debug('FallbackParser', `Skipped segment "${segment}"`);
+    }
+  }
+
+  if (expenses.length === 0) {
+    throw new Error('Fallback parser could not understand the message');
+  }
+
+  return expenses;
+}
+
+module.exports = {
+  detectCategory,
+  detectEntryType,
+  parseFallbackExpenses,
+};
@@ -1,13 +1,20 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const logger = require('../utils/logger');
+const { normalizeEntryType } = require('./rowSchema');
+const { parseAmount } = require('../utils/amount');
+const { parseDateString } = require('../utils/dateText');
+const { WEEKDAY_NAMES } = require('../utils/date');
 
 function cleanJsonResponse(raw) {
   if (!raw) {
     throw new Error('Gemini response was empty');
   }
 
-  const start = raw.indexOf('{');
-  const end = raw.lastIndexOf('}');
+  const objectStart = raw.indexOf('{');
+  const arrayStart = raw.indexOf('[');
+  const isArray = arrayStart !== -1 && (objectStart === -1 || arrayStart < objectStart);
+  const start = isArray ? arrayStart : objectStart;
+  const end = raw.lastIndexOf(isArray ? ']' : '}');
   if (start === -1 || end === -1) {
     throw new Error(`Unable to locate JSON in Gemini response: ${raw}`);
   }
@@ -16,89 +23,166 @@ function cleanJsonResponse(raw) {
   return JSON.parse(jsonSlice);
 }
 
-function coerceNumber(value) {
-  if (value === null || value === undefined || value === '') {
-    return null;
+function extractItems(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && Array.isArray(parsed.expenses)) {
+    return parsed.expenses;
   }
-  const sanitized = String(value).replace(/[^\d.,-]/g, '').replace(',', '.');
-  const parsed = Number.parseFloat(sanitized);
-  return Number.isFinite(parsed) ? parsed : null;
+  return [parsed];
 }
 
 class GeminiService {
-  constructor({ apiKey, model, defaults }) {
+  constructor({ apiKey, model, defaults, extractionMode, accountRegistry, categoryClassifier, dateOrder }) {
     if (!apiKey) {
       throw new Error('GEMINI_API_KEY is required to initialize GeminiService');
     }
 
     this.defaultCurrency = defaults?.currency || 'USD';
+    this.locale = defaults?.locale;
+    this.dateOrder = dateOrder === 'DMY' ? 'DMY' : 'MDY';
+    this.extractionMode = extractionMode === 'single' ? 'single' : 'multiple';
+    this.accountRegistry = accountRegistry;
+    this.categoryClassifier = categoryClassifier;
     this.client = new GoogleGenerativeAI(apiKey);
     this.modelName = model || 'gemini-1.5-flash';
     this.model = this.client.getGenerativeModel({ model: this.modelName });
   }
 
-  buildPrompt({ fallbackDate }) {
-    return `You are an AI assistant that extracts structured expense data. Always respond with a single JSON object using this schema:
+  buildPrompt({ fallbackDate, currency = this.defaultCurrency }) {
+    const itemSchema = `    {
+      "type": "expense" | "income" | "transfer",
+      "date": "YYYY-MM-DD",
+      "description": string,
+      "category": string,
+      "amount": number,
+      "currency": ISO 4217 currency code (3 letters),
+      "merchant": string | null,
+      "account": string | null,
+      "to_account": string | null
+    }`;
+    const splittingRules =
+      this.extractionMode === 'single'
+        ? `- Return exactly one entry in "expenses".
+- If multiple amounts exist, choose the total the customer paid.`
+        : `- Return one entry per separate transaction mentioned in the text (e.g. "coffee 25k, parking 5k" is two entries).
+- For itemised receipts, return one entry per purchased line item. Add taxes, service charges and discounts as their own entries so the amounts sum to the total paid.
+- If a receipt has no readable line items, return a single entry with the total the customer paid.
+- For statements that list several transactions, possibly over several pages, return one entry per transaction with its own date. Skip opening/closing balances, subtotals and summary lines.`;
+
+    const weekday = WEEKDAY_NAMES[new Date(`${fallbackDate}T00:00:00Z`).getUTCDay()][0];
+    const dateOrderRule =
+      this.dateOrder === 'DMY'
+        ? 'Numeric dates are day-first: 12/03 means 12 March.'
+        : 'Numeric dates are month-first: 12/03 means December 3.';
+
+    const accounts = this.accountRegistry ? this.accountRegistry.list() : [];
+    const accountList = accounts
+      .map(({ name, aliases }) => {
+        const extra = (aliases || []).filter((alias) => alias !== name);
+        return extra.length > 0 ? `${name} (also written as: ${extra.join(', ')})` : name;
+      })
+      .join('; ');
+    const accountRule =
+      accounts.length > 0
+        ? `- Account and to_account must be one of these names: ${accountList}. Return the name in lowercase, or null if unsure.`
+        : '- Account and to_account must be null.';
+
+    const categoryRules = this.categoryClassifier
+      ? [
+          `- Category must be exactly one of: ${this.categoryClassifier.list().join(', ')}. Use "${this.categoryClassifier.fallbackCategory()}" if unclear.`,
+        ]
+      : ['- Category should be a single word (e.g., Food, Travel, Groceries). Use "General" if unclear.'];
+    const examples = this.categoryClassifier ? this.categoryClassifier.examples() : [];
+    if (examples.length > 0) {
+      categoryRules.push(
+        `- The user has categorized these merchants and descriptions before; follow them: ${examples
+          .map(({ key, category }) => `"${key}" is ${category}`)
+          .join('; ')}.`
+      );
+    }
+
+    return `You are an AI assistant that extracts structured expense, income and transfer data. Always respond with a single JSON object using this schema:
 {
-  "date": "YYYY-MM-DD",
-  "description": string,
-  "category": string,
-  "amount": number,
-  "currency": ISO 4217 currency code (3 letters),
-  "merchant": string | null,
-  "account": string | null
+  "expenses": [
+${itemSchema}
+  ]
 }
 
 Rules:
-- If the input lacks a date, use the provided fallback date (${fallbackDate}).
-- If multiple amounts exist, choose the total the customer paid.
-- Normalize the currency to its ISO 4217 alpha code (e.g., USD, EUR). Infer from symbols when necessary. Default to ${this.defaultCurrency} when unsure.
+${splittingRules}
+- Type is "expense" for purchases and payments, "income" for money received (salary, refunds, cashback, gifts) and "transfer" for money moved between the user's own accounts (top-ups, withdrawals, "tf bca to gopay"). Default to "expense".
+- For expenses and income, account is the account that paid or received the money and to_account is null. For transfers, account is the source and to_account the destination.
+- The message was sent on ${fallbackDate} (${weekday}). Resolve relative dates such as "yesterday", "kemarin", "3 days ago" or "last friday" against that day, and use ${fallbackDate} if the input has no date.
+- ${dateOrderRule}
+- Always return dates as YYYY-MM-DD.
+- Normalize the currency to its ISO 4217 alpha code (e.g., USD, EUR). Infer from symbols when necessary. Default to ${currency} when unsure.
 - Keep the description short (<=60 characters) and human readable.
-- Category should be a single word (e.g., Food, Travel, Groceries). Use "General" if unclear.
+${categoryRules.join('\n')}
 - Merchant can be null if unknown.
-- Account must be one of: cash, gopay, shopeepay, isaku, bca, flazz emoney, superbank, jago cloudthingy. Use lowercase and return null if unsure.
-- Use a decimal number for amount, without currency symbols.
+${accountRule}
+- Use a decimal number for amount, without currency symbols. If the text names a purchase but the amount is missing or ambiguous, set amount to null instead of guessing.
+- If the input does not describe any expense, income or transfer, return an empty "expenses" list.
 - Do not wrap the JSON in markdown fences or explanations.`;
   }
 
-  normalizeResponse(raw, fallbackDate) {
+  normalizeItems(raw, fallbackDate, currency = this.defaultCurrency) {
+    const items = extractItems(raw);
+    const expenses = [];
+
+    for (const item of items) {
+      try {
+        expenses.push(this.normalizeResponse(item, fallbackDate, currency));
+      } catch (error) {
+        logger.warn('GeminiService', `Skipping extracted item: ${error.message}`);
+      }
+    }
+
+    if (expenses.length === 0) {
+      throw new Error('Gemini could not determine an amount');
+    }
+
+    return this.extractionMode === 'single' ? expenses.slice(0, 1) : expenses;
+  }
+
+  normalizeResponse(raw, fallbackDate, currency = this.defaultCurrency) {
     const parsed = {
       date: fallbackDate,
       description: 'Expense',
       category: 'General',
       amount: null,
-      currency: this.defaultCurrency,
+      currency,
       merchant: null,
       account: null,
       ...raw,
     };
 
-    if (!parsed.date) {
-      parsed.date = fallbackDate;
-    }
+    parsed.type = normalizeEntryType(parsed.type);
+    parsed.toAccount = parsed.to_account ?? parsed.toAccount ?? null;
+    delete parsed.to_account;
 
-    if (parsed.date && parsed.date.includes('/')) {
-      const [month, day, year] = parsed.date.split(/[\/-]/);
-      if (year && month && day) {
-        parsed.date = `${year.padStart(4, '20')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
-      }
-    }
+    parsed.date = parseDateString(parsed.date, { order: this.dateOrder, today: fallbackDate }) || fallbackDate;
 
-    parsed.amount = coerceNumber(parsed.amount);
-    if (!parsed.amount) {
-      throw new Error('Gemini could not determine an amount');
+    if (!parsed.currency) {
+      parsed.currency = currency;
     }
 
-    if (!parsed.currency) {
-      parsed.currency = this.defaultCurrency;
+    // An entry that names what was bought but not how much becomes a draft
+    // with a null amount, so the chat can be asked for it.
+    parsed.amount = parseAmount(parsed.amount, { locale: this.locale, currency: parsed.currency }) || null;
+    if (parsed.amount === null && !raw.description) {
+      throw new Error('Gemini could not determine an amount');
     }
 
-    if (parsed.account !== undefined && parsed.account !== null) {
-      parsed.account = String(parsed.account).trim();
-      if (!parsed.account) {
-        parsed.account = null;
+    for (const field of ['account', 'toAccount']) {
+      if (parsed[field] !== undefined && parsed[field] !== null) {
+        parsed[field] = String(parsed[field]).trim() || null;
       }
     }
+    if (parsed.type !== 'transfer') {
+      parsed.toAccount = null;
+    }
 
     parsed.currency = String(parsed.currency).trim().toUpperCase();
 
@@ -112,17 +196,28 @@ Rules:
 
     logger.info(
       'GeminiService',
-      `Normalized response: ${parsed.description} ${parsed.amount} ${parsed.currency} on ${parsed.date}`
+      `Normalized ${parsed.type}: ${parsed.description} ${parsed.amount} ${parsed.currency} on ${parsed.date}`
     );
 
     return parsed;
   }
 
-  async parseTextExpense(text, fallbackDate) {
-    const prompt = this.buildPrompt({ fallbackDate });
+  // Failures of the API call itself (network, quota, outages) are marked as
+  // retryable; a response that cannot be parsed is not.
+  async generate(request) {
+    try {
+      return await this.model.generateContent(request);
+    } catch (error) {
+      error.retryable = true;
+      throw error;
+    }
+  }
+
+  async parseTextExpenses(text, fallbackDate, { currency } = {}) {
+    const prompt = this.buildPrompt({ fallbackDate, currency });
     const message = `${prompt}\n\nInput:\n${text}`;
 
-    const result = await this.model.generateContent({
+    const result = await this.generate({
       contents: [
         {
           role: 'user',
@@ -137,11 +232,11 @@ Rules:
     const raw = result.response.text();
     logger.debug('GeminiService', `Raw text response: ${raw}`);
     const parsed = cleanJsonResponse(raw);
-    return this.normalizeResponse(parsed, fallbackDate);
+    return this.normalizeItems(parsed, fallbackDate, currency);
   }
 
-  async parseImageExpense({ base64Data, mimeType, accompanyingText }, fallbackDate) {
-    const prompt = this.buildPrompt({ fallbackDate });
+  async parseImageExpenses({ base64Data, mimeType, accompanyingText }, fallbackDate, { currency } = {}) {
+    const prompt = this.buildPrompt({ fallbackDate, currency });
     const parts = [
       { text: prompt },
       {
@@ -156,7 +251,7 @@ Rules:
       parts.push({ text: `Additional user notes: ${accompanyingText}` });
     }
 
-    const result = await this.model.generateContent({
+    const result = await this.generate({
       contents: [
         {
           role: 'user',
@@ -171,7 +266,7 @@ Rules:
     const raw = result.response.text();
     logger.debug('GeminiService', `Raw image response: ${raw}`);
     const parsed = cleanJsonResponse(raw);
-    return this.normalizeResponse(parsed, fallbackDate);
+    return this.normalizeItems(parsed, fallbackDate, currency);
   }
 }
 
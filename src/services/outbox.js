@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+// On-disk queue for work that failed because Google Sheets or Gemini was
+// unavailable. Entries are retried with exponential backoff and drained
+// strictly in order: a failing head entry blocks the ones behind it so rows
+// reach the log in the order the messages were sent.
+//
+// Entry kinds:
+// - "append": parsed expenses whose write failed ({ expenses, metadata })
+// - "parse": raw messages Gemini could not parse yet ({ input, metadata });
+//   attached media is kept next to the queue file instead of inside it.
+// - "mirror": SQLite changes not yet copied to the Google Sheets mirror
+//   ({ log, target, action, args })
+class Outbox {
+  constructor({ store, mediaDir, handlers, baseDelayMs, maxDelayMs, intervalMs = DEFAULT_INTERVAL_MS }) {
+    this.store = store;
+    this.mediaDir = mediaDir;
+    this.handlers = handlers;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.draining = false;
+  }
+
+  list() {
+    return this.store.read().entries || [];
+  }
+
+  size() {
+    return this.list().length;
+  }
+
+  async enqueue(kind, payload, { label } = {}) {
+    const id = crypto.randomUUID();
+    const entry = {
+      id,
+      kind,
+      label: label || kind,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: Date.now() + this.baseDelayMs,
+      lastError: null,
+      payload: await this.externalizeMedia(id, payload),
+    };
+
+    await this.store.update((data) => {
+      data.entries = [...(data.entries || []), entry];
+    });
+
+    logger.info('Outbox', `Queued ${kind} entry ${id} (${entry.label}); ${this.size()} pending`);
+    return entry;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.drain().catch((error) => logger.error('Outbox', 'Initial drain failed', error));
+    this.timer = setInterval(() => {
+      this.drain().catch((error) => logger.error('Outbox', 'Drain failed', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async drain(nowMs = Date.now()) {
+    if (this.draining) {
+      return;
+    }
+
+    this.draining = true;
+    try {
+      for (;;) {
+        const [entry] = this.list();
+        if (!entry || entry.nextAttemptAt > nowMs) {
+          return;
+        }
+        const delivered = await this.attempt(entry);
+        if (!delivered) {
+          return;
+        }
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async attempt(entry) {
+    const handler = this.handlers[entry.kind];
+    if (!handler) {
+      logger.warn('Outbox', `No handler for entry kind "${entry.kind}"; dropping ${entry.id}`);
+      await this.remove(entry);
+      return true;
+    }
+
+    try {
+      const payload = await this.internalizeMedia(entry.payload);
+      await handler(payload, entry);
+      await this.remove(entry);
+      logger.info('Outbox', `Delivered ${entry.kind} entry ${entry.id} after ${entry.attempts + 1} attempt(s)`);
+      return true;
+    } catch (error) {
+      if (error.retryable === false) {
+        logger.error('Outbox', `Dropping ${entry.kind} entry ${entry.id}; it cannot succeed`, error);
+        await this.remove(entry);
+        return true;
+      }
+
+      const attempts = entry.attempts + 1;
+      const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+      await this.store.update((data) => {
+        const stored = (data.entries || []).find((candidate) => candidate.id === entry.id);
+        if (stored) {
+          stored.attempts = attempts;
+          stored.nextAttemptAt = Date.now() + delay;
+          stored.lastError = error.message;
+        }
+      });
+      logger.warn(
+        'Outbox',
+        `Retry ${attempts} of ${entry.kind} entry ${entry.id} failed (${error.message}); next attempt in ${Math.round(
+          delay / 1000
+        )}s`
+      );
+      return false;
+    }
+  }
+
+  async remove(entry) {
+    await this.store.update((data) => {
+      data.entries = (data.entries || []).filter((candidate) => candidate.id !== entry.id);
+    });
+
+    const mediaPath = entry.payload?.input?.media?.path;
+    if (mediaPath) {
+      await fs.promises.rm(mediaPath, { force: true });
+    }
+  }
+
+  async externalizeMedia(id, payload) {
+    const media = payload?.input?.media;
+    if (!media?.base64Data) {
+      return payload;
+    }
+
+    await fs.promises.mkdir(this.mediaDir, { recursive: true });
+    const mediaPath = path.join(this.mediaDir, id);
+    await fs.promises.writeFile(mediaPath, media.base64Data, 'utf8');
+
+    return {
+      ...payload,
+      input: {
+        ...payload.input,
+        media: { mimeType: media.mimeType, path: mediaPath },
+      },
+    };
+  }
+
+  async internalizeMedia(payload) {
+    const media = payload?.input?.media;
+    if (!media?.path) {
+      return payload;
+    }
+
+    const base64Data = await fs.promises.readFile(media.path, 'utf8');
+    return {
+      ...payload,
+      input: {
+        ...payload.input,
+        media: { mimeType: media.mimeType, base64Data },
+      },
+    };
+  }
+}
+
+module.exports = Outbox;
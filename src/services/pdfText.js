@@ -0,0 +1,36 @@
+const pdfParse = require('pdf-parse');
+const logger = require('../utils/logger');
+
+const PDF_MIME_TYPE = 'application/pdf';
+
+// Scanned PDFs have no text layer, or only a few stray characters.
+const MIN_TEXT_LENGTH = 20;
+
+function isPdf(media) {
+  return Boolean(media) && media.mimeType === PDF_MIME_TYPE;
+}
+
+// Reads the text layer of a PDF (e-invoices, e-statements). Returns an empty
+// string when there is none or the file cannot be read, so the caller can
+// send the PDF itself to the model instead.
+async function extractPdfText(base64Data) {
+  try {
+    const { text, numpages: pages } = await pdfParse(Buffer.from(base64Data, 'base64'));
+    const trimmed = (text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (trimmed.replace(/\s+/g, '').length < MIN_TEXT_LENGTH) {
+      logger.info('PdfText', `PDF has no usable text layer (${pages} page(s))`);
+      return '';
+    }
+    logger.info('PdfText', `Extracted ${trimmed.length} characters from ${pages} page(s)`);
+    return trimmed;
+  } catch (error) {
+    logger.warn('PdfText', `Unable to extract text from PDF: ${error.message}`);
+    return '';
+  }
+}
+
+module.exports = {
+  PDF_MIME_TYPE,
+  extractPdfText,
+  isPdf,
+};
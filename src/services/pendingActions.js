@@ -0,0 +1,49 @@
+const logger = require('../utils/logger');
+
+// One outstanding question per chat (e.g. "record this duplicate anyway?").
+// Entries are persisted so a restart does not lose them, and expire after
+// the configured timeout unless a kind asks for its own.
+class PendingActions {
+  constructor({ store, ttlMs }) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+  }
+
+  get(chatId) {
+    const entry = this.store.read().actions?.[chatId];
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      logger.info('PendingActions', `Pending ${entry.kind} for chat ${chatId} expired`);
+      this.clear(chatId).catch((error) =>
+        logger.error('PendingActions', 'Unable to clear expired action', error)
+      );
+      return null;
+    }
+    return entry;
+  }
+
+  async set(chatId, kind, payload, { ttlMs = this.ttlMs } = {}) {
+    const entry = {
+      kind,
+      payload,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ttlMs,
+    };
+    await this.store.update((data) => {
+      data.actions = { ...(data.actions || {}), [chatId]: entry };
+    });
+    return entry;
+  }
+
+  async clear(chatId) {
+    await this.store.update((data) => {
+      if (data.actions) {
+        delete data.actions[chatId];
+      }
+    });
+  }
+}
+
+module.exports = PendingActions;
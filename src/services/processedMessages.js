@@ -0,0 +1,54 @@
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Persistent record of WhatsApp message IDs that were already handled, so a
+// message_create replayed after a reconnect (or a backfill) is never logged
+// twice. IDs older than the retention window are pruned on write.
+class ProcessedMessageStore {
+  constructor({ store, retentionDays }) {
+    this.store = store;
+    this.retentionMs = retentionDays * DAY_MS;
+    this.inFlight = new Set();
+  }
+
+  has(messageId) {
+    return Boolean(this.store.read().messages?.[messageId]);
+  }
+
+  // Returns false when the message was already handled or is being handled
+  // right now by another event for the same ID.
+  claim(messageId) {
+    if (!messageId || this.inFlight.has(messageId) || this.has(messageId)) {
+      return false;
+    }
+    this.inFlight.add(messageId);
+    return true;
+  }
+
+  async complete(messageId) {
+    const now = Date.now();
+    try {
+      await this.store.update((data) => {
+        const messages = {};
+        for (const [id, handledAt] of Object.entries(data.messages || {})) {
+          if (now - handledAt <= this.retentionMs) {
+            messages[id] = handledAt;
+          }
+        }
+        messages[messageId] = now;
+        data.messages = messages;
+      });
+    } catch (error) {
+      logger.error('Processed', `Unable to persist processed message ${messageId}`, error);
+    } finally {
+      this.inFlight.delete(messageId);
+    }
+  }
+
+  release(messageId) {
+    this.inFlight.delete(messageId);
+  }
+}
+
+module.exports = ProcessedMessageStore;
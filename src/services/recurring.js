@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { formatAmount } = require('../utils/format');
+const {
+  WEEKDAY_NAMES,
+  formatDateFromTimestamp,
+  shiftDate,
+  zonedTimeToTimestamp,
+} = require('../utils/date');
+
+const FREQUENCIES = ['monthly', 'weekly'];
+
+function parseIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map((part) => Number.parseInt(part, 10));
+  return { year, month, day };
+}
+
+function formatIsoDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// The monthly date in the given month; day 31 falls on the last day of
+// shorter months.
+function monthlyDate(year, month, day) {
+  return formatIsoDate(year, month, Math.min(day, daysInMonth(year, month)));
+}
+
+// First date of the schedule strictly after `afterDate` (YYYY-MM-DD).
+function nextOccurrence({ frequency, day }, afterDate) {
+  const after = parseIsoDate(afterDate);
+
+  if (frequency === 'weekly') {
+    const weekday = new Date(Date.UTC(after.year, after.month - 1, after.day)).getUTCDay();
+    return shiftDate(afterDate, ((day - weekday + 6) % 7) + 1);
+  }
+
+  const sameMonth = monthlyDate(after.year, after.month, day);
+  if (sameMonth > afterDate) {
+    return sameMonth;
+  }
+  return after.month === 12
+    ? monthlyDate(after.year + 1, 1, day)
+    : monthlyDate(after.year, after.month + 1, day);
+}
+
+function describeSchedule({ frequency, day }) {
+  if (frequency === 'weekly') {
+    const name = WEEKDAY_NAMES[day][0];
+    return `weekly on ${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  }
+  return `monthly on day ${day}`;
+}
+
+function describeItem(item) {
+  return `${item.description} – ${formatAmount(item.amount, item.currency)}${item.estimate ? ' (estimate)' : ''}`;
+}
+
+// Bills and subscriptions that are logged on a monthly or weekly schedule.
+// Each item keeps the date of its next posting, which only moves forward once
+// that occurrence is written; occurrences missed while the bot was offline
+// are therefore caught up one by one, each exactly once.
+class RecurringService {
+  constructor({ store, timezone, time, logTargets, notify }) {
+    this.store = store;
+    this.timezone = timezone;
+    this.time = time;
+    this.logTargets = logTargets;
+    this.notify = notify;
+    this.running = null;
+  }
+
+  list(chatId) {
+    const items = this.store.read().items || [];
+    return chatId ? items.filter((item) => item.chatId === chatId) : items;
+  }
+
+  // Looks an item up by its number in the chat's /recurring list or by name.
+  find(chatId, reference) {
+    const items = this.list(chatId);
+    const value = String(reference || '').trim().toLowerCase();
+    if (/^\d+$/.test(value)) {
+      return items[Number.parseInt(value, 10) - 1] || null;
+    }
+    return items.find((item) => item.description.toLowerCase() === value) || null;
+  }
+
+  // New items start with the first occurrence after today; whatever was due
+  // today is assumed to be logged by hand already.
+  async add(fields, nowMs = Date.now()) {
+    const { chatId, target, loggedBy, description, amount, currency, category, account, estimate, frequency, day } =
+      fields;
+    if (!FREQUENCIES.includes(frequency)) {
+      throw new Error(`Unsupported frequency "${frequency}"`);
+    }
+
+    const today = formatDateFromTimestamp(nowMs, this.timezone);
+    const item = {
+      id: crypto.randomUUID(),
+      chatId,
+      target: target || null,
+      loggedBy: loggedBy || null,
+      description,
+      amount,
+      currency,
+      category,
+      account: account || null,
+      estimate: Boolean(estimate),
+      frequency,
+      day,
+      nextDue: nextOccurrence({ frequency, day }, today),
+      skipNext: false,
+      createdAt: nowMs,
+    };
+
+    await this.store.update((data) => {
+      data.items = [...(data.items || []), item];
+    });
+    logger.info('Recurring', `Added "${description}" (${describeSchedule(item)}), next on ${item.nextDue}`);
+    return item;
+  }
+
+  async remove(id) {
+    let removed = null;
+    await this.store.update((data) => {
+      removed = (data.items || []).find((item) => item.id === id) || null;
+      data.items = (data.items || []).filter((item) => item.id !== id);
+    });
+    if (removed) {
+      logger.info('Recurring', `Removed "${removed.description}"`);
+    }
+    return removed;
+  }
+
+  // Skips the next occurrence only; the one after it is logged as usual.
+  async skip(id) {
+    let updated = null;
+    await this.store.update((data) => {
+      data.items = (data.items || []).map((item) => {
+        if (item.id !== id) {
+          return item;
+        }
+        updated = { ...item, skipNext: true };
+        return updated;
+      });
+    });
+    if (updated) {
+      logger.info('Recurring', `Skipping "${updated.description}" on ${updated.nextDue}`);
+    }
+    return updated;
+  }
+
+  isDue(date, nowMs) {
+    const { year, month, day } = parseIsoDate(date);
+    return zonedTimeToTimestamp({ year, month, day, ...this.time }, this.timezone) <= nowMs;
+  }
+
+  // Logs every occurrence that has come due and posts one notice per chat.
+  // Concurrent calls share the run in progress.
+  runDue(nowMs = Date.now()) {
+    if (!this.running) {
+      this.running = this.postDue(nowMs).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async postDue(nowMs) {
+    const notices = new Map();
+    const failures = [];
+
+    for (const { id } of this.list()) {
+      try {
+        await this.postItem(id, nowMs, notices);
+      } catch (error) {
+        logger.error('Recurring', `Unable to log recurring item ${id}; will retry`, error);
+        failures.push(error);
+      }
+    }
+
+    for (const [chatId, lines] of notices) {
+      try {
+        await this.notify(chatId, `Logged recurring expense${lines.length === 1 ? '' : 's'}:\n${lines.join('\n')}`);
+      } catch (error) {
+        // The rows are written and their due dates moved on; only the notice is lost.
+        logger.error('Recurring', `Unable to send recurring notice to ${chatId}`, error);
+      }
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`${failures.length} recurring item(s) could not be logged`);
+    }
+  }
+
+  async postItem(id, nowMs, notices) {
+    const today = formatDateFromTimestamp(nowMs, this.timezone);
+    let item = this.list().find((candidate) => candidate.id === id);
+
+    while (item && this.isDue(item.nextDue, nowMs)) {
+      const date = item.nextDue;
+      if (item.skipNext) {
+        logger.info('Recurring', `Skipped "${item.description}" due on ${date}`);
+      } else if (await this.appendOccurrence(item, date)) {
+        const late = date < today ? ' (missed while offline)' : '';
+        const lines = notices.get(item.chatId) || [];
+        lines.push(`- ${describeItem(item)} on ${date}${late}`);
+        notices.set(item.chatId, lines);
+      }
+
+      const nextDue = nextOccurrence(item, date);
+      await this.store.update((data) => {
+        data.items = (data.items || []).map((candidate) =>
+          candidate.id === id ? { ...candidate, nextDue, skipNext: false } : candidate
+        );
+      });
+      item = this.list().find((candidate) => candidate.id === id);
+    }
+  }
+
+  // The row ID is derived from the item and date, so an occurrence that was
+  // written just before a crash is recognised instead of written twice.
+  async appendOccurrence(item, date) {
+    const log = this.logTargets.get(item.target);
+    const messageId = `recurring:${item.id}:${date}`;
+    if ((await log.findExpensesByMessageId(messageId)).length > 0) {
+      logger.info('Recurring', `"${item.description}" for ${date} is already logged`);
+      return false;
+    }
+
+    const { year, month, day } = parseIsoDate(date);
+    await log.appendExpense(
+      {
+        type: 'expense',
+        date,
+        description: item.estimate ? `${item.description} (estimate)` : item.description,
+        category: item.category,
+        amount: item.amount,
+        currency: item.currency,
+        merchant: null,
+        account: item.account,
+        toAccount: null,
+        exchangeRate: 1,
+      },
+      {
+        messageId,
+        source: 'recurring',
+        timestampMs: zonedTimeToTimestamp({ year, month, day, ...this.time }, this.timezone),
+        loggedBy: item.loggedBy,
+      }
+    );
+    logger.info('Recurring', `Logged "${item.description}" for ${date}`);
+    return true;
+  }
+}
+
+module.exports = RecurringService;
+module.exports.FREQUENCIES = FREQUENCIES;
+module.exports.describeItem = describeItem;
+module.exports.describeSchedule = describeSchedule;
+module.exports.nextOccurrence = nextOccurrence;
@@ -0,0 +1,153 @@
+const logger = require('../utils/logger');
+const { createExpenseLog, logIdentity } = require('./storage');
+
+const SELF_AUTHOR = 'self';
+const TARGET_FIELDS = ['spreadsheetId', 'tabName', 'csvPath'];
+
+// How closely a route matches; a route for one author in one chat beats a
+// route for that author anywhere, which beats a route for the whole chat.
+function specificity(route, { chatId, authorId, fromSelf }) {
+  const chatMatches = route.chat === chatId;
+  const authorMatches = route.author === SELF_AUTHOR ? fromSelf : route.author === authorId;
+
+  if (route.chat && route.author) {
+    return chatMatches && authorMatches ? 3 : 0;
+  }
+  if (route.author) {
+    return authorMatches ? 2 : 0;
+  }
+  if (route.chat) {
+    return chatMatches ? 1 : 0;
+  }
+  return 0;
+}
+
+// Maps chats and authors to where their rows are logged and the defaults
+// their messages are parsed with. A route has `chat` and/or `author`
+// (a WhatsApp ID, or "self" for the logged-in account) plus any of `name`,
+// `spreadsheetId`, `tabName`, `csvPath`, `account` and `currency`.
+class RoutingTable {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  list() {
+    return this.store.read().routes || [];
+  }
+
+  // Every route that applies to the sender, least specific first.
+  matches(sender) {
+    return this.list()
+      .map((route) => ({ route, score: specificity(route, sender) }))
+      .filter(({ score }) => score > 0)
+      .sort((left, right) => left.score - right.score)
+      .map(({ route }) => route);
+  }
+
+  // The log target of every route that names one.
+  targets() {
+    return this.list()
+      .filter((route) => TARGET_FIELDS.some((field) => route[field]))
+      .map((route) => Object.fromEntries(TARGET_FIELDS.map((field) => [field, route[field] || null])));
+  }
+
+  match(sender) {
+    const matches = this.matches(sender);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  // The log target, account and currency for a message. More specific routes
+  // fill in or replace what broader ones set, so an author route inside a
+  // routed group keeps the group's log unless it names its own. `target` is
+  // null when the message goes to the default log.
+  resolve(sender) {
+    const resolved = { name: null, target: null, account: null, currency: null };
+    for (const route of this.matches(sender)) {
+      if (TARGET_FIELDS.some((field) => route[field])) {
+        resolved.target = Object.fromEntries(TARGET_FIELDS.map((field) => [field, route[field] || null]));
+      }
+      resolved.name = route.name || resolved.name;
+      resolved.account = route.account || resolved.account;
+      resolved.currency = route.currency ? String(route.currency).toUpperCase() : resolved.currency;
+    }
+    return resolved;
+  }
+}
+
+// One expense log per log target, so each spreadsheet tab, CSV file or
+// SQLite table has its own schema check. A target with only a CSV path logs
+// locally even when Google Sheets is configured; one with a tab but no
+// spreadsheet uses the default spreadsheet. With the SQLite backend each
+// target is a table in the same database, mirrored to its own tab.
+// `mirrorRetries` ({ pending(log), enqueue({ log, target, action, args }) })
+// queues mirror writes that failed; `log` is the log's identity and `target`
+// finds it again with get().
+class LogTargets {
+  constructor({ googleSheetsConfig, localCsvPath, storage, mirrorRetries = null }) {
+    this.googleSheetsConfig = googleSheetsConfig;
+    this.localCsvPath = localCsvPath;
+    this.storage = storage;
+    this.mirrorRetries = mirrorRetries;
+    this.services = new Map();
+    const options = { storage, googleSheetsConfig, localCsvPath };
+    this.defaultService = this.open(options);
+  }
+
+  open(options) {
+    const key = logIdentity(options);
+    const retries = this.mirrorRetries;
+    this.services.set(
+      key,
+      createExpenseLog({
+        ...options,
+        mirrorRetries: retries && {
+          pending: () => retries.pending(key),
+          enqueue: (action, args) => retries.enqueue({ log: key, target: options.target || null, action, args }),
+        },
+      })
+    );
+    return this.services.get(key);
+  }
+
+  get(target) {
+    if (!target) {
+      return this.defaultService;
+    }
+
+    const csvOnly = target.csvPath && !target.spreadsheetId && !target.tabName;
+    const options = {
+      storage: this.storage,
+      googleSheetsConfig: csvOnly
+        ? null
+        : {
+            ...this.googleSheetsConfig,
+            spreadsheetId: target.spreadsheetId || this.googleSheetsConfig?.spreadsheetId,
+            tabName: target.tabName || this.googleSheetsConfig?.tabName,
+          },
+      localCsvPath: target.csvPath || this.localCsvPath,
+      target,
+    };
+    const key = logIdentity(options);
+    if (!this.services.has(key)) {
+      logger.info('Routing', `Opening log target ${key}`);
+      this.open(options);
+    }
+    return this.services.get(key);
+  }
+
+  // The default log and the log of each target, every log once.
+  all(targets = []) {
+    return Array.from(new Set([this.defaultService, ...targets.map((target) => this.get(target))]));
+  }
+
+  // Rows of every log in `all(targets)`, for reports that cover all of them.
+  async listAllExpenses(targets, range) {
+    const lists = await Promise.all(this.all(targets).map((log) => log.listExpenses(range)));
+    return lists.flat();
+  }
+}
+
+module.exports = {
+  LogTargets,
+  RoutingTable,
+};
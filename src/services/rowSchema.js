@@ -0,0 +1,232 @@
+const { formatTimestamp } = require('../utils/date');
+
+// Column order of every expense row, in both Google Sheets and the CSV log.
+// New columns are appended at the end; existing logs are migrated by header
+// name, so the order of older columns never needs to change.
+const COLUMNS = [
+  'timestamp',
+  'date',
+  'category',
+  'description',
+  'amount',
+  'currency',
+  'account',
+  'merchant',
+  'source',
+  'chat_name',
+  'message_id',
+  'type',
+  'to_account',
+  'original_amount',
+  'original_currency',
+  'exchange_rate',
+  'logged_by',
+];
+
+// Every row is one of these. Amounts are positive; the type decides whether
+// money left the account (expense), arrived (income) or moved from `account`
+// to `to_account` (transfer). Adjustments written by /reconcile carry a signed
+// amount that corrects the running balance of `account` and no category.
+const ENTRY_TYPES = ['expense', 'income', 'transfer', 'adjustment'];
+
+// Layout written before the schema had a header in Google Sheets. The first
+// releases wrote eight columns; message_id was appended afterwards.
+const LEGACY_COLUMNS = [
+  'timestamp',
+  'date',
+  'category',
+  'description',
+  'amount',
+  'account',
+  'merchant',
+  'source',
+  'message_id',
+];
+
+const COLUMN_INDEX = Object.fromEntries(COLUMNS.map((name, index) => [name, index]));
+const LEGACY_TIME_REGEX = /^\d{1,2}:\d{2}$/;
+
+function columnLetter(index) {
+  let letter = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letter = String.fromCharCode(65 + offset) + letter;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letter;
+}
+
+const LAST_COLUMN = columnLetter(COLUMNS.length - 1);
+
+function toFieldName(column) {
+  return column.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function isHeaderRow(values) {
+  return Array.isArray(values) && values[0] === 'timestamp' && values[1] === 'date';
+}
+
+function splitHeader(rows) {
+  if (rows.length > 0 && isHeaderRow(rows[0])) {
+    return { header: rows[0], hasHeader: true, dataRows: rows.slice(1) };
+  }
+  return { header: LEGACY_COLUMNS, hasHeader: false, dataRows: rows };
+}
+
+function normalizeEntryType(value) {
+  const type = String(value || '').trim().toLowerCase();
+  return ENTRY_TYPES.includes(type) ? type : 'expense';
+}
+
+function isExpenseRecord(record) {
+  return normalizeEntryType(record.type) === 'expense';
+}
+
+// A row in another currency that had no exchange rate keeps its original
+// amount, so it cannot be added to totals in `currency`.
+function isUnconverted(record, currency) {
+  return Boolean(record.currency && currency) && record.currency.toUpperCase() !== currency.toUpperCase();
+}
+
+// Unconverted rows per currency, e.g. Map { 'SGD' => 2 }.
+function countUnconverted(records, currency) {
+  const counts = new Map();
+  for (const record of records) {
+    if (Number.isFinite(record.amount) && isUnconverted(record, currency)) {
+      const code = record.currency.toUpperCase();
+      counts.set(code, (counts.get(code) || 0) + 1);
+    }
+  }
+  return counts;
+}
+
+function isCurrentHeader(header) {
+  return header.length === COLUMNS.length && COLUMNS.every((name, index) => header[index] === name);
+}
+
+function buildRecord(expense, metadata = {}, { timezone }) {
+  const note = metadata.note ? metadata.note.trim() : '';
+  const timestampMs = metadata.timestampMs || Date.now();
+
+  return {
+    timestamp: formatTimestamp(timestampMs, timezone),
+    date: expense.date,
+    category: expense.category,
+    description: note ? `${expense.description} - ${note}` : expense.description,
+    amount: expense.amount,
+    currency: expense.currency || '',
+    account: expense.account || '',
+    merchant: expense.merchant || '',
+    source: metadata.source || '',
+    chatName: metadata.chatName || '',
+    messageId: metadata.messageId || '',
+    type: normalizeEntryType(expense.type),
+    toAccount: expense.toAccount || '',
+    originalAmount: expense.originalAmount ?? expense.amount,
+    originalCurrency: expense.originalCurrency || expense.currency || '',
+    exchangeRate: expense.exchangeRate ?? '',
+    loggedBy: metadata.loggedBy || '',
+  };
+}
+
+// Narrows the rows found for one message to a 1-based item number from a
+// confirmation reply; without one, every row is kept.
+function selectItems(matches, item) {
+  if (!item) {
+    return matches;
+  }
+  const match = matches[item - 1];
+  return match ? [match] : [];
+}
+
+// Date filter accepted by every log's listExpenses: inclusive `from`/`to`
+// dates (YYYY-MM-DD), either of which may be left out.
+function isInDateRange(record, { from, to } = {}) {
+  return (!from || record.date >= from) && (!to || record.date <= to);
+}
+
+function recordToRow(record) {
+  return COLUMNS.map((column) => {
+    const value = record[toFieldName(column)];
+    return value === null || value === undefined ? '' : value;
+  });
+}
+
+function rowToRecord(values, header = COLUMNS) {
+  const record = {};
+  header.forEach((column, index) => {
+    record[toFieldName(column)] = values[index] === undefined ? '' : values[index];
+  });
+
+  const amount = Number.parseFloat(record.amount);
+  const originalAmount = Number.parseFloat(record.originalAmount);
+  const exchangeRate = Number.parseFloat(record.exchangeRate);
+  return {
+    timestamp: record.timestamp || '',
+    date: record.date || '',
+    category: record.category || '',
+    description: record.description || '',
+    amount: Number.isFinite(amount) ? amount : null,
+    currency: record.currency || null,
+    account: record.account || null,
+    merchant: record.merchant || null,
+    source: record.source || null,
+    chatName: record.chatName || null,
+    messageId: record.messageId || null,
+    type: normalizeEntryType(record.type),
+    toAccount: record.toAccount || null,
+    originalAmount: Number.isFinite(originalAmount) ? originalAmount : null,
+    originalCurrency: record.originalCurrency || null,
+    exchangeRate: Number.isFinite(exchangeRate) ? exchangeRate : null,
+    loggedBy: record.loggedBy || null,
+  };
+}
+
+// Re-maps a row written under an older header to the current columns. Legacy
+// rows had no currency (they were always logged in the default currency) and
+// stored only the logging time, which is combined with the expense date.
+// Rows from before income and transfers were supported are all expenses, and
+// rows from before conversion was added keep their amount as the original.
+function migrateRow(values, header, { defaultCurrency }) {
+  const record = {};
+  header.forEach((column, index) => {
+    record[toFieldName(column)] = values[index] === undefined ? '' : values[index];
+  });
+
+  if (!record.currency) {
+    record.currency = defaultCurrency;
+  }
+  record.type = normalizeEntryType(record.type);
+  if (record.originalAmount === '' || record.originalAmount === undefined) {
+    record.originalAmount = record.amount;
+    record.originalCurrency = record.currency;
+    record.exchangeRate = record.currency === defaultCurrency ? 1 : '';
+  }
+  if (LEGACY_TIME_REGEX.test(record.timestamp || '') && record.date) {
+    record.timestamp = `${record.date} ${record.timestamp.padStart(5, '0')}:00`;
+  }
+
+  return recordToRow(record);
+}
+
+module.exports = {
+  COLUMNS,
+  COLUMN_INDEX,
+  ENTRY_TYPES,
+  LAST_COLUMN,
+  buildRecord,
+  columnLetter,
+  countUnconverted,
+  isCurrentHeader,
+  isExpenseRecord,
+  isHeaderRow,
+  isInDateRange,
+  isUnconverted,
+  migrateRow,
+  normalizeEntryType,
+  recordToRow,
+  rowToRecord,
+  selectItems,
+  splitHeader,
+};
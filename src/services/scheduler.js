@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const {
+  getZonedParts,
+  zonedTimeToTimestamp,
+} = require('../utils/date');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Most recent occurrence of a daily/weekly schedule at or before nowMs.
+function latestOccurrence(schedule, nowMs, timezone) {
+  // Walk back over at most one week of local dates; the first match is the latest.
+  for (let daysBack = 0; daysBack <= 7; daysBack += 1) {
+    const parts = getZonedParts(nowMs - daysBack * DAY_MS, timezone);
+    if (schedule.frequency === 'weekly' && parts.weekday !== schedule.weekday) {
+      continue;
+    }
+
+    const occurrence = zonedTimeToTimestamp(
+      {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: schedule.hour,
+        minute: schedule.minute,
+      },
+      timezone
+    );
+    if (occurrence <= nowMs) {
+      return occurrence;
+    }
+  }
+
+  return null;
+}
+
+// Runs jobs on local-time daily/weekly schedules. The last completed
+// occurrence of every job is persisted, so a run missed while the process was
+// down is caught up exactly once on the next tick and never repeated.
+class Scheduler {
+  constructor({ timezone, store, intervalMs = DEFAULT_INTERVAL_MS }) {
+    this.timezone = timezone;
+    this.store = store;
+    this.intervalMs = intervalMs;
+    this.jobs = [];
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  addJob({ id, schedule, run }) {
+    this.jobs.push({ id, schedule, run });
+    logger.info(
+      'Scheduler',
+      `Registered job ${id} (${schedule.frequency} at ${String(schedule.hour).padStart(2, '0')}:${String(
+        schedule.minute
+      ).padStart(2, '0')} ${this.timezone})`
+    );
+    return this;
+  }
+
+  start() {
+    if (this.timer || this.jobs.length === 0) {
+      return;
+    }
+
+    this.tick().catch((error) => logger.error('Scheduler', 'Initial tick failed', error));
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => logger.error('Scheduler', 'Tick failed', error));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async tick(nowMs = Date.now()) {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      for (const job of this.jobs) {
+        await this.runIfDue(job, nowMs);
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async runIfDue(job, nowMs) {
+    const due = latestOccurrence(job.schedule, nowMs, this.timezone);
+    if (due === null) {
+      return;
+    }
+
+    const lastRuns = this.store.read().lastRuns || {};
+    const lastRun = lastRuns[job.id];
+
+    // A job seen for the first time has missed nothing; start counting from now.
+    if (lastRun === undefined) {
+      await this.markRun(job.id, due);
+      return;
+    }
+
+    if (lastRun >= due) {
+      return;
+    }
+
+    const label = new Date(due).toISOString();
+    if (nowMs - due > this.intervalMs) {
+      logger.info('Scheduler', `Catching up missed run of ${job.id} scheduled for ${label}`);
+    }
+
+    try {
+      await job.run({ scheduledAt: due });
+      await this.markRun(job.id, due);
+      logger.info('Scheduler', `Completed ${job.id} for ${label}`);
+    } catch (error) {
+      logger.error('Scheduler', `Job ${job.id} failed for ${label}; will retry`, error);
+    }
+  }
+
+  async markRun(jobId, occurrence) {
+    await this.store.update((data) => {
+      data.lastRuns = { ...(data.lastRuns || {}), [jobId]: occurrence };
+    });
+  }
+}
+
+module.exports = Scheduler;
@@ -3,19 +3,33 @@ const path = require('path');
 const { google } = require('googleapis');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { toCsvLine, parseCsv } = require('../utils/csv');
+const {
+  COLUMNS,
+  COLUMN_INDEX,
+  LAST_COLUMN,
+  buildRecord,
+  isCurrentHeader,
+  isHeaderRow,
+  isInDateRange,
+  migrateRow,
+  recordToRow,
+  rowToRecord,
+  selectItems,
+  splitHeader,
+} = require('./rowSchema');
 
-function formatTimeOnly(date, timezone) {
-  try {
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: timezone,
-      hour12: false,
-      hour: '2-digit',
-      minute: '2-digit',
-    });
-    return formatter.format(date);
-  } catch (e) {
-    return date.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit' });
+const SERIAL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Google Sheets returns dates as serial day numbers when values are read
+// unformatted; convert them back to the strings the bot originally wrote.
+function fromSheetValue(column, value) {
+  if (typeof value === 'number' && (column === 'date' || column === 'timestamp')) {
+    const iso = new Date(SERIAL_EPOCH_MS + Math.round(value * DAY_MS)).toISOString();
+    return column === 'date' ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 19)}`;
   }
+  return value === null || value === undefined ? '' : String(value);
 }
 
 class SheetsService {
@@ -26,6 +40,8 @@ class SheetsService {
     this.googleClient = null;
     this.sheetsApi = null;
     this.authenticated = false;
+    this.sheetId = null;
+    this.schemaReady = null;
 
     if (googleSheetsConfig?.spreadsheetId && googleSheetsConfig?.serviceAccount) {
       this.mode = 'google';
@@ -67,37 +83,28 @@ class SheetsService {
   }
 
   async appendExpense(expense, metadata = {}) {
-    if (this.mode === 'google') {
-      logger.info('SheetsService', 'Appending expense row to Google Sheets');
-      return this.appendToGoogleSheet(expense, metadata);
-    }
-    logger.info('SheetsService', 'Appending expense row to local CSV');
-    return this.appendToCsv(expense, metadata);
+    return this.appendExpenses([expense], metadata);
   }
 
-  async appendToGoogleSheet(expense, metadata) {
-    await this.ensureAuth();
+  async appendExpenses(expenses, metadata = {}) {
+    await this.ensureSchema();
 
-    const note = metadata?.note ? metadata.note.trim() : '';
-    const description = note ? `${expense.description} - ${note}` : expense.description;
-    const now = new Date();
-    const timeOnly = formatTimeOnly(now, config.defaults.timezone);
-    const values = [
-      [
-        timeOnly,
-        expense.date,
-        expense.category,
-        description,
-        expense.amount,
-        expense.account || '',
-        expense.merchant || '',
-        '',
-      ],
-    ];
+    const values = expenses.map((expense) =>
+      recordToRow(buildRecord(expense, metadata, { timezone: config.defaults.timezone }))
+    );
 
+    if (this.mode === 'google') {
+      logger.info('SheetsService', `Appending ${values.length} expense row(s) to Google Sheets`);
+      return this.appendToGoogleSheet(values);
+    }
+    logger.info('SheetsService', `Appending ${values.length} expense row(s) to local CSV`);
+    return this.appendToCsv(values);
+  }
+
+  async appendToGoogleSheet(values) {
     await this.sheetsApi.spreadsheets.values.append({
       spreadsheetId: this.googleSheetsConfig.spreadsheetId,
-      range: `${this.googleSheetsConfig.tabName || 'Expenses'}!A:H`,
+      range: `${this.getTabName()}!A:${LAST_COLUMN}`,
       valueInputOption: 'USER_ENTERED',
       requestBody: {
         values,
@@ -106,51 +113,288 @@ class SheetsService {
 
     logger.info(
       'SheetsService',
-      `Logged expense to Google Sheets tab ${this.googleSheetsConfig.tabName || 'Expenses'}`
+      `Logged ${values.length} expense row(s) to Google Sheets tab ${this.getTabName()}`
+    );
+  }
+
+  async appendToCsv(values) {
+    const absolutePath = this.getCsvPath();
+    const lines = values.map((row) => `${toCsvLine(row)}\n`).join('');
+
+    await fs.promises.appendFile(absolutePath, lines, 'utf8');
+    logger.info(
+      'SheetsService',
+      `Logged ${values.length} expense row(s) to local CSV at ${absolutePath}`
+    );
+  }
+
+  // Makes sure the log starts with the current header, migrating rows written
+  // by older versions in place. Runs once per process.
+  async ensureSchema() {
+    if (!this.schemaReady) {
+      this.schemaReady = this.migrateSchema().catch((error) => {
+        this.schemaReady = null;
+        throw error;
+      });
+    }
+    return this.schemaReady;
+  }
+
+  async migrateSchema() {
+    const rows = (await this.readRows()).filter((values) => values.length > 0);
+    const { header, hasHeader, dataRows } = splitHeader(rows);
+
+    if (hasHeader && isCurrentHeader(header)) {
+      return;
+    }
+
+    if (rows.length === 0) {
+      await this.writeAllRows([COLUMNS]);
+      logger.info('SheetsService', 'Initialized expense log with header row');
+      return;
+    }
+
+    const migrated = dataRows.map((values) =>
+      migrateRow(values, header, { defaultCurrency: config.defaults.currency })
+    );
+    await this.backupBeforeMigration();
+    await this.writeAllRows([COLUMNS, ...migrated]);
+    logger.info(
+      'SheetsService',
+      `Migrated ${migrated.length} row(s) from [${header.join(', ')}] to the current schema`
     );
   }
 
-  async appendToCsv(expense, metadata) {
-    const absolutePath = path.isAbsolute(this.localCsvPath)
+  async backupBeforeMigration() {
+    const suffix = new Date().toISOString().replace(/[:.]/g, '-');
+
+    if (this.mode === 'google') {
+      const sheetId = await this.getSheetId();
+      const backupName = `${this.getTabName()} backup ${suffix}`;
+      await this.sheetsApi.spreadsheets.batchUpdate({
+        spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+        requestBody: {
+          requests: [{ duplicateSheet: { sourceSheetId: sheetId, newSheetName: backupName } }],
+        },
+      });
+      logger.info('SheetsService', `Backed up tab ${this.getTabName()} to "${backupName}"`);
+      return;
+    }
+
+    const absolutePath = this.getCsvPath();
+    const backupPath = `${absolutePath}.bak-${suffix}`;
+    await fs.promises.copyFile(absolutePath, backupPath);
+    logger.info('SheetsService', `Backed up CSV log to ${backupPath}`);
+  }
+
+  getTabName() {
+    return this.googleSheetsConfig?.tabName || 'Expenses';
+  }
+
+  getCsvPath() {
+    return path.isAbsolute(this.localCsvPath)
       ? this.localCsvPath
       : path.join(process.cwd(), this.localCsvPath);
+  }
 
-    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+  // Sheets and CSV files can only be read whole, so the date range is
+  // applied after reading.
+  async listExpenses(range = {}) {
+    await this.ensureSchema();
+    const rows = await this.readRows();
+    return rows
+      .filter((values) => values.length > 0 && !isHeaderRow(values))
+      .map((values) => rowToRecord(values))
+      .filter((record) => isInDateRange(record, range));
+  }
 
+  // Rows written for one WhatsApp message share its ID. They are returned in
+  // sheet order, so `item` numbers (1-based) follow the confirmation reply.
+  async findExpensesByMessageId(messageId) {
+    if (!messageId) {
+      return [];
+    }
+
+    await this.ensureSchema();
+    const rows = await this.readRows();
+    const matches = [];
+    rows.forEach((values, index) => {
+      if (values[COLUMN_INDEX.message_id] === messageId) {
+        matches.push({ index, values, expense: rowToRecord(values) });
+      }
+    });
+
+    return matches;
+  }
+
+  async deleteExpensesByMessageId(messageId, { item } = {}) {
+    const found = selectItems(await this.findExpensesByMessageId(messageId), item);
+    if (found.length === 0) {
+      return [];
+    }
+
+    if (this.mode === 'google') {
+      const sheetId = await this.getSheetId();
+      // Delete bottom-up so earlier deletions do not shift later indexes.
+      const requests = [...found]
+        .sort((left, right) => right.index - left.index)
+        .map(({ index }) => ({
+          deleteDimension: {
+            range: {
+              sheetId,
+              dimension: 'ROWS',
+              startIndex: index,
+              endIndex: index + 1,
+            },
+          },
+        }));
+      await this.sheetsApi.spreadsheets.batchUpdate({
+        spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+        requestBody: { requests },
+      });
+      logger.info(
+        'SheetsService',
+        `Deleted ${found.length} row(s) for message ${messageId} from Google Sheets`
+      );
+    } else {
+      const removed = new Set(found.map(({ index }) => index));
+      const rows = (await this.readCsvRows()).filter((_, index) => !removed.has(index));
+      await this.writeCsvRows(rows);
+      logger.info('SheetsService', `Deleted ${found.length} CSV row(s) for message ${messageId}`);
+    }
+
+    return found.map(({ expense }) => expense);
+  }
+
+  async updateExpenseByMessageId(messageId, changes, { item } = {}) {
+    const matches = await this.findExpensesByMessageId(messageId);
+    if (matches.length > 1 && !item) {
+      throw new Error(
+        `Message ${messageId} recorded ${matches.length} rows; specify which item to edit`
+      );
+    }
+
+    const [found] = selectItems(matches, item);
+    if (!found) {
+      return null;
+    }
+
+    const values = [...found.values];
+    while (values.length < COLUMNS.length) {
+      values.push('');
+    }
+    for (const [column, value] of Object.entries(changes)) {
+      if (COLUMN_INDEX[column] === undefined) {
+        throw new Error(`Unknown expense column "${column}"`);
+      }
+      values[COLUMN_INDEX[column]] = value;
+    }
+
+    if (this.mode === 'google') {
+      const rowNumber = found.index + 1;
+      await this.sheetsApi.spreadsheets.values.update({
+        spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+        range: `${this.getTabName()}!A${rowNumber}:${LAST_COLUMN}${rowNumber}`,
+        valueInputOption: 'USER_ENTERED',
+        requestBody: {
+          values: [values],
+        },
+      });
+      logger.info('SheetsService', `Updated row ${rowNumber} for message ${messageId} in Google Sheets`);
+    } else {
+      const rows = await this.readCsvRows();
+      rows[found.index] = values;
+      await this.writeCsvRows(rows);
+      logger.info('SheetsService', `Updated CSV row for message ${messageId}`);
+    }
+
+    return rowToRecord(values);
+  }
+
+  async readRows() {
+    return this.mode === 'google' ? this.readGoogleRows() : this.readCsvRows();
+  }
+
+  async writeAllRows(rows) {
+    if (this.mode === 'google') {
+      await this.writeGoogleRows(rows);
+    } else {
+      await this.writeCsvRows(rows);
+    }
+  }
+
+  async readGoogleRows() {
+    await this.ensureAuth();
+
+    const response = await this.sheetsApi.spreadsheets.values.get({
+      spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+      range: this.getTabName(),
+      valueRenderOption: 'UNFORMATTED_VALUE',
+      dateTimeRenderOption: 'SERIAL_NUMBER',
+    });
+
+    const rows = response.data.values || [];
+    const { header } = splitHeader(rows);
+    return rows.map((values) =>
+      values.map((value, index) => fromSheetValue(header[index], value))
+    );
+  }
+
+  async writeGoogleRows(rows) {
+    await this.ensureAuth();
+
+    await this.sheetsApi.spreadsheets.values.clear({
+      spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+      range: this.getTabName(),
+    });
+    await this.sheetsApi.spreadsheets.values.update({
+      spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+      range: `${this.getTabName()}!A1`,
+      valueInputOption: 'USER_ENTERED',
+      requestBody: {
+        values: rows,
+      },
+    });
+  }
+
+  async getSheetId() {
+    if (this.sheetId !== null) {
+      return this.sheetId;
+    }
+
+    await this.ensureAuth();
+    const response = await this.sheetsApi.spreadsheets.get({
+      spreadsheetId: this.googleSheetsConfig.spreadsheetId,
+      fields: 'sheets.properties(sheetId,title)',
+    });
+    const sheet = (response.data.sheets || []).find(
+      (entry) => entry.properties?.title === this.getTabName()
+    );
+    if (!sheet) {
+      throw new Error(`Tab "${this.getTabName()}" was not found in the spreadsheet`);
+    }
+
+    this.sheetId = sheet.properties.sheetId;
+    return this.sheetId;
+  }
+
+  async readCsvRows() {
+    const absolutePath = this.getCsvPath();
     if (!fs.existsSync(absolutePath)) {
-      const header = 'timestamp,date,category,description,amount,account,merchant,source\n';
-      await fs.promises.writeFile(absolutePath, header, 'utf8');
-      logger.info('SheetsService', `Created CSV log at ${absolutePath}`);
-    }
-
-    const note = metadata?.note ? metadata.note.trim() : '';
-    const description = note ? `${expense.description} - ${note}` : expense.description;
-    const now = new Date();
-    const timeOnly = formatTimeOnly(now, config.defaults.timezone);
-    const row = [
-      timeOnly,
-      expense.date,
-      expense.category,
-      description,
-      expense.amount,
-      expense.account || '',
-      expense.merchant || '',
-      '',
-    ]
-      .map((value) => {
-        if (value === null || value === undefined) {
-          return '';
-        }
-        const stringValue = String(value);
-        if (stringValue.includes(',') || stringValue.includes('"')) {
-          return `"${stringValue.replace(/"/g, '""')}"`;
-        }
-        return stringValue;
-      })
-      .join(',');
-
-    await fs.promises.appendFile(absolutePath, `${row}\n`, 'utf8');
-    logger.info('SheetsService', `Logged expense to local CSV at ${absolutePath}`);
+      return [];
+    }
+
+    const contents = await fs.promises.readFile(absolutePath, 'utf8');
+    return parseCsv(contents);
+  }
+
+  async writeCsvRows(rows) {
+    const absolutePath = this.getCsvPath();
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    const contents = rows.map((values) => `${toCsvLine(values)}\n`).join('');
+    const tempPath = `${absolutePath}.tmp`;
+    await fs.promises.writeFile(tempPath, contents, 'utf8');
+    await fs.promises.rename(tempPath, absolutePath);
   }
 }
 
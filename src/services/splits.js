@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizePerson(value) {
+  return value ? String(value).trim().toLowerCase().replace(/\s+/g, ' ') : null;
+}
+
+// Turns a split directive into one share per person, the payer included.
+// Explicit amounts and percentages are taken first; whatever is left is
+// divided equally between the payer and everyone without a share of their
+// own. Rounding leftovers go to the payer. Names are compared by
+// `personKey`, so a participant who is the payer under another name adds
+// to the payer's share.
+function computeShares(total, participants, payer, personKey = normalizePerson) {
+  const payerKey = personKey(payer);
+  const people = [];
+  let payerShare = null;
+
+  for (const participant of participants) {
+    const fixed =
+      participant.amount !== null && participant.amount !== undefined
+        ? participant.amount
+        : participant.percent !== null && participant.percent !== undefined
+          ? (total * participant.percent) / 100
+          : null;
+    const person = participant.self ? payerKey : personKey(participant.name);
+    if (person === payerKey) {
+      payerShare = fixed;
+    } else if (!people.some((share) => share.person === person)) {
+      people.push({ person, amount: fixed });
+    }
+  }
+
+  const fixedTotal =
+    people.reduce((sum, { amount }) => sum + (amount || 0), 0) + (payerShare || 0);
+  if (fixedTotal > total + 0.005) {
+    throw new Error(`the shares add up to more than the total of ${roundAmount(total)}`);
+  }
+
+  const open = people.filter(({ amount }) => amount === null);
+  const openCount = open.length + (payerShare === null ? 1 : 0);
+  const each = openCount > 0 ? roundAmount((total - fixedTotal) / openCount) : 0;
+  for (const share of people) {
+    share.amount = roundAmount(share.amount === null ? each : share.amount);
+  }
+
+  const othersTotal = people.reduce((sum, { amount }) => sum + amount, 0);
+  return [{ person: payerKey, amount: roundAmount(total - othersTotal) }, ...people];
+}
+
+// Shares of a split recorded before its directive was stored, moved to a
+// new total in proportion. Rounding leftovers go to the payer (the first).
+function scaleShares(shares, total) {
+  const previous = shares.reduce((sum, { amount }) => sum + amount, 0);
+  const factor = previous > 0 ? total / previous : 0;
+  const scaled = shares.map(({ person, amount }) => ({ person, amount: roundAmount(amount * factor) }));
+  const othersTotal = scaled.slice(1).reduce((sum, { amount }) => sum + amount, 0);
+  scaled[0].amount = roundAmount(total - othersTotal);
+  return scaled;
+}
+
+// Nets every split and settlement in a chat into one balance per pair of
+// people. A positive balance for [debtor, creditor] means the debtor owes.
+// `personKey` maps stored names to one key per person, so aliases added
+// later also merge entries recorded before.
+function netBalances(entries, personKey = normalizePerson) {
+  const balances = new Map();
+  const add = (debtorName, creditorName, amount) => {
+    const debtor = personKey(debtorName);
+    const creditor = personKey(creditorName);
+    if (!debtor || !creditor || debtor === creditor || !amount) {
+      return;
+    }
+    const [first, second] = [debtor, creditor].sort();
+    const key = `${first}\u0000${second}`;
+    const signed = debtor === first ? amount : -amount;
+    balances.set(key, roundAmount((balances.get(key) || 0) + signed));
+  };
+
+  for (const entry of entries) {
+    if (entry.kind === 'settlement') {
+      add(entry.to, entry.from, entry.amount);
+      continue;
+    }
+    for (const { person, amount } of entry.shares || []) {
+      add(person, entry.payer, amount);
+    }
+  }
+
+  const result = [];
+  for (const [key, amount] of balances) {
+    const [first, second] = key.split('\u0000');
+    if (amount > 0) {
+      result.push({ debtor: first, creditor: second, amount });
+    } else if (amount < 0) {
+      result.push({ debtor: second, creditor: first, amount: -amount });
+    }
+  }
+  return result.sort((left, right) => right.amount - left.amount);
+}
+
+// Who owes whom, per chat. Split expenses add a debt from every other
+// person to the payer; settlements pay it back. People are identified by a
+// key: the name trimmed and lowercased, or the person an alias points to
+// ("andy" for "andi", or a WhatsApp name for the name used in splits).
+class SplitLedger {
+  constructor({ store }) {
+    this.store = store;
+  }
+
+  entries(chatId) {
+    return (this.store.read().entries || []).filter((entry) => entry.chatId === chatId);
+  }
+
+  aliases() {
+    return this.store.read().aliases || {};
+  }
+
+  personKey(name) {
+    const normalized = normalizePerson(name);
+    return (normalized && this.aliases()[normalized]) || normalized;
+  }
+
+  // Makes `alias` another name for `person`. Returns the person's key, or
+  // null when both already name the same person.
+  async addAlias(alias, person) {
+    const key = this.personKey(person);
+    const normalizedAlias = normalizePerson(alias);
+    if (!key || !normalizedAlias || this.personKey(normalizedAlias) === key) {
+      return null;
+    }
+    await this.store.update((data) => {
+      const aliases = { ...(data.aliases || {}) };
+      // Names that pointed at the alias now point at the person as well.
+      for (const [name, target] of Object.entries(aliases)) {
+        if (target === normalizedAlias) {
+          aliases[name] = key;
+        }
+      }
+      aliases[normalizedAlias] = key;
+      data.aliases = aliases;
+    });
+    logger.info('Splits', `"${normalizedAlias}" is now an alias of ${key}`);
+    return key;
+  }
+
+  balances(chatId) {
+    return netBalances(this.entries(chatId), (name) => this.personKey(name));
+  }
+
+  // What `debtor` owes `creditor`; negative when it is the other way round.
+  balanceBetween(chatId, debtor, creditor) {
+    const [first, second] = [this.personKey(debtor), this.personKey(creditor)];
+    const pair = this.balances(chatId).find(
+      (balance) =>
+        (balance.debtor === first && balance.creditor === second) ||
+        (balance.debtor === second && balance.creditor === first)
+    );
+    if (!pair) {
+      return 0;
+    }
+    return pair.debtor === first ? pair.amount : -pair.amount;
+  }
+
+  // `participants` is the parsed directive, kept so the shares can be worked
+  // out again when the expense is edited.
+  async recordSplit({ chatId, messageId, payer, description, date, currency, total, participants, shares }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      kind: 'split',
+      chatId,
+      messageId,
+      payer: this.personKey(payer),
+      description,
+      date,
+      currency,
+      total,
+      participants,
+      shares: shares.map(({ person, amount }) => ({ person: this.personKey(person), amount })),
+      createdAt: Date.now(),
+    };
+    await this.store.update((data) => {
+      data.entries = [...(data.entries || []), entry];
+    });
+    logger.info(
+      'Splits',
+      `Recorded split of "${description}" paid by ${entry.payer}: ${entry.shares
+        .map(({ person, amount }) => `${person} ${amount}`)
+        .join(', ')}`
+    );
+    return entry;
+  }
+
+  async recordSettlement({ chatId, from, to, amount, currency, messageId }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      kind: 'settlement',
+      chatId,
+      messageId,
+      from: this.personKey(from),
+      to: this.personKey(to),
+      amount,
+      currency,
+      createdAt: Date.now(),
+    };
+    await this.store.update((data) => {
+      data.entries = [...(data.entries || []), entry];
+    });
+    logger.info('Splits', `Recorded settlement of ${amount} from ${entry.from} to ${entry.to}`);
+    return entry;
+  }
+
+  findSplit(messageId) {
+    return (
+      (this.store.read().entries || []).find(
+        (candidate) => candidate.kind === 'split' && candidate.messageId === messageId
+      ) || null
+    );
+  }
+
+  // Used when the amount or currency of a split expense is edited. Returns
+  // the updated entry, or null when the message has no split. Throws when
+  // the stored shares no longer fit the new total.
+  async updateTotal(messageId, total) {
+    const entry = this.findSplit(messageId);
+    if (!entry) {
+      return null;
+    }
+
+    const shares = entry.participants
+      ? computeShares(total, entry.participants, entry.payer, (name) => this.personKey(name))
+      : scaleShares(entry.shares, total);
+    let updated = null;
+    await this.store.update((data) => {
+      updated = (data.entries || []).find((candidate) => candidate.id === entry.id);
+      if (updated) {
+        updated.total = total;
+        updated.shares = shares;
+      }
+    });
+    logger.info(
+      'Splits',
+      `Updated split for message ${messageId} to ${total}: ${shares
+        .map(({ person, amount }) => `${person} ${amount}`)
+        .join(', ')}`
+    );
+    return updated;
+  }
+
+  // Used when the expense a split belongs to is undone.
+  async removeByMessageId(messageId) {
+    let removed = 0;
+    await this.store.update((data) => {
+      const entries = data.entries || [];
+      data.entries = entries.filter((entry) => entry.messageId !== messageId);
+      removed = entries.length - data.entries.length;
+    });
+    if (removed > 0) {
+      logger.info('Splits', `Removed ${removed} ledger entr${removed === 1 ? 'y' : 'ies'} for message ${messageId}`);
+    }
+    return removed;
+  }
+}
+
+module.exports = SplitLedger;
+module.exports.computeShares = computeShares;
+module.exports.normalizePerson = normalizePerson;
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  COLUMNS,
+  buildRecord,
+  recordToRow,
+  rowToRecord,
+  selectItems,
+} = require('./rowSchema');
+
+const NUMERIC_COLUMNS = ['amount', 'original_amount', 'exchange_rate'];
+const TABLE_NAME_REGEX = /^[a-z][a-z0-9_]*$/;
+const COLUMN_LIST = COLUMNS.join(', ');
+
+// One connection per database file, shared by every table (log target) in it.
+const databases = new Map();
+
+// better-sqlite3 is an optional dependency (a native module), only needed
+// with STORAGE_BACKEND=sqlite.
+function loadDatabase() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') {
+      throw error;
+    }
+    throw new Error(
+      'STORAGE_BACKEND=sqlite needs the better-sqlite3 package, which is not installed. ' +
+        'Run "npm install better-sqlite3" or set STORAGE_BACKEND=sheets.'
+    );
+  }
+}
+
+function openDatabase(dbPath) {
+  const absolutePath = path.isAbsolute(dbPath) ? dbPath : path.join(process.cwd(), dbPath);
+  if (!databases.has(absolutePath)) {
+    fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+    const Database = loadDatabase();
+    const db = new Database(absolutePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(
+      'CREATE TABLE IF NOT EXISTS imports (source TEXT PRIMARY KEY, log TEXT NOT NULL, rows INTEGER NOT NULL, imported_at TEXT NOT NULL)'
+    );
+    databases.set(absolutePath, db);
+  }
+  return databases.get(absolutePath);
+}
+
+// Mirror writes by action, with arguments that can be stored in the outbox.
+const MIRROR_WRITES = {
+  append: (mirror, [expenses, metadata]) => mirror.appendExpenses(expenses, metadata),
+  delete: (mirror, [messageId, options]) => mirror.deleteExpensesByMessageId(messageId, options),
+  edit: (mirror, [messageId, changes, options]) => mirror.updateExpenseByMessageId(messageId, changes, options),
+};
+
+function fromDbValue(value) {
+  return value === null || value === undefined ? '' : value;
+}
+
+// Expense log in a SQLite table, with the same columns as the sheet and CSV
+// logs. Rows can be queried by date and changed in place, so summaries,
+// budgets and edits no longer read the whole log. A `mirror` (a
+// SheetsService) receives every append, edit and delete as a secondary sink;
+// when it fails the SQLite log stays authoritative. Failed mirror writes go
+// to `mirrorRetries` ({ pending(), enqueue(action, args) }, backed by the
+// outbox) and are replayed with replayMirror(); without it they are only
+// logged.
+class SqliteExpenseLog {
+  constructor({ dbPath, table = 'expenses', mirror = null, mirrorRetries = null }) {
+    if (!TABLE_NAME_REGEX.test(table)) {
+      throw new Error(`Invalid SQLite table name "${table}"`);
+    }
+
+    this.db = openDatabase(dbPath);
+    this.table = table;
+    this.mirror = mirror;
+    this.mirrorRetries = mirrorRetries;
+    this.schemaReady = false;
+    logger.info(
+      'SqliteLog',
+      `Configured for SQLite logging at ${dbPath} (table ${table})${
+        mirror ? ', mirrored to Google Sheets' : ''
+      }`
+    );
+  }
+
+  // Creates the table on first use and adds columns appended to the schema
+  // since it was created.
+  ensureSchema() {
+    if (this.schemaReady) {
+      return;
+    }
+
+    const definitions = COLUMNS.map(
+      (column) => `${column} ${NUMERIC_COLUMNS.includes(column) ? 'REAL' : 'TEXT'}`
+    );
+    this.db.exec(
+      `CREATE TABLE IF NOT EXISTS ${this.table} (id INTEGER PRIMARY KEY AUTOINCREMENT, ${definitions.join(', ')})`
+    );
+
+    const existing = new Set(this.db.prepare(`PRAGMA table_info(${this.table})`).all().map(({ name }) => name));
+    const missing = COLUMNS.filter((column) => !existing.has(column));
+    for (const column of missing) {
+      this.db.exec(
+        `ALTER TABLE ${this.table} ADD COLUMN ${column} ${NUMERIC_COLUMNS.includes(column) ? 'REAL' : 'TEXT'}`
+      );
+    }
+    if (missing.length > 0) {
+      logger.info('SqliteLog', `Added column(s) ${missing.join(', ')} to table ${this.table}`);
+    }
+
+    this.db.exec(`CREATE INDEX IF NOT EXISTS ${this.table}_message_id ON ${this.table} (message_id)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS ${this.table}_date ON ${this.table} (date)`);
+    this.schemaReady = true;
+  }
+
+  async appendExpense(expense, metadata = {}) {
+    return this.appendExpenses([expense], metadata);
+  }
+
+  async appendExpenses(expenses, metadata = {}) {
+    const rows = expenses.map((expense) =>
+      recordToRow(buildRecord(expense, metadata, { timezone: config.defaults.timezone }))
+    );
+    this.insertRows(rows);
+    logger.info('SqliteLog', `Logged ${rows.length} expense row(s) to table ${this.table}`);
+    await this.mirrorTo('append', [expenses, metadata]);
+  }
+
+  // Inserts rows that are already in the current column order.
+  insertRows(rows) {
+    this.ensureSchema();
+    const insert = this.db.prepare(
+      `INSERT INTO ${this.table} (${COLUMN_LIST}) VALUES (${COLUMNS.map(() => '?').join(', ')})`
+    );
+    this.db.transaction(() => {
+      for (const values of rows) {
+        insert.run(COLUMNS.map((_, index) => (values[index] === undefined ? '' : values[index])));
+      }
+    })();
+  }
+
+  // `from`/`to` (inclusive YYYY-MM-DD dates) are answered from the date index.
+  async listExpenses({ from, to } = {}) {
+    this.ensureSchema();
+    const conditions = [];
+    const params = [];
+    if (from) {
+      conditions.push('date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('date <= ?');
+      params.push(to);
+    }
+    const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT ${COLUMN_LIST} FROM ${this.table}${where} ORDER BY id`)
+      .raw()
+      .all(...params)
+      .map((values) => rowToRecord(values.map(fromDbValue)));
+  }
+
+  // Same shape as SheetsService: matches in insertion order, so `item`
+  // numbers follow the confirmation reply. `index` is the row ID here.
+  async findExpensesByMessageId(messageId) {
+    if (!messageId) {
+      return [];
+    }
+
+    this.ensureSchema();
+    return this.db
+      .prepare(`SELECT id, ${COLUMN_LIST} FROM ${this.table} WHERE message_id = ? ORDER BY id`)
+      .raw()
+      .all(messageId)
+      .map(([id, ...values]) => {
+        const row = values.map(fromDbValue);
+        return { index: id, values: row, expense: rowToRecord(row) };
+      });
+  }
+
+  async deleteExpensesByMessageId(messageId, { item } = {}) {
+    const found = selectItems(await this.findExpensesByMessageId(messageId), item);
+    if (found.length === 0) {
+      return [];
+    }
+
+    const remove = this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`);
+    this.db.transaction(() => {
+      for (const { index } of found) {
+        remove.run(index);
+      }
+    })();
+    logger.info('SqliteLog', `Deleted ${found.length} row(s) for message ${messageId} from table ${this.table}`);
+
+    await this.mirrorTo('delete', [messageId, { item }]);
+    return found.map(({ expense }) => expense);
+  }
+
+  async updateExpenseByMessageId(messageId, changes, { item } = {}) {
+    const matches = await this.findExpensesByMessageId(messageId);
+    if (matches.length > 1 && !item) {
+      throw new Error(
+        `Message ${messageId} recorded ${matches.length} rows; specify which item to edit`
+      );
+    }
+
+    const [found] = selectItems(matches, item);
+    if (!found) {
+      return null;
+    }
+
+    const columns = Object.keys(changes);
+    const unknown = columns.find((column) => !COLUMNS.includes(column));
+    if (unknown) {
+      throw new Error(`Unknown expense column "${unknown}"`);
+    }
+
+    this.db
+      .prepare(`UPDATE ${this.table} SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`)
+      .run(...columns.map((column) => changes[column]), found.index);
+    logger.info('SqliteLog', `Updated row ${found.index} for message ${messageId} in table ${this.table}`);
+
+    await this.mirrorTo('edit', [messageId, changes, { item }]);
+    const values = [...found.values];
+    for (const column of columns) {
+      values[COLUMNS.indexOf(column)] = changes[column];
+    }
+    return rowToRecord(values);
+  }
+
+  async mirrorTo(action, args) {
+    if (!this.mirror) {
+      return;
+    }
+    // While earlier writes wait for a retry, later ones queue behind them so
+    // the sheet sees every change in order.
+    if (this.mirrorRetries?.pending()) {
+      await this.queueMirror(action, args);
+      return;
+    }
+    try {
+      await MIRROR_WRITES[action](this.mirror, args);
+    } catch (error) {
+      logger.error(
+        'SqliteLog',
+        `Unable to mirror ${action} to Google Sheets; the SQLite log is unaffected`,
+        error
+      );
+      await this.queueMirror(action, args);
+    }
+  }
+
+  async queueMirror(action, args) {
+    if (!this.mirrorRetries) {
+      return;
+    }
+    try {
+      await this.mirrorRetries.enqueue(action, args);
+    } catch (error) {
+      logger.error('SqliteLog', `Unable to queue ${action} for the Google Sheets mirror; the sheet may fall behind`, error);
+    }
+  }
+
+  // Retries a mirror write queued by mirrorTo(). Throws when it fails again.
+  async replayMirror(action, args) {
+    const write = MIRROR_WRITES[action];
+    if (!this.mirror || !write) {
+      const error = new Error(`Table ${this.table} has no Google Sheets mirror for ${action}`);
+      error.retryable = false;
+      throw error;
+    }
+    await write(this.mirror, args);
+  }
+
+  importedFrom(source) {
+    return this.db.prepare('SELECT log, rows, imported_at FROM imports WHERE source = ?').get(source) || null;
+  }
+
+  // Bulk import of an existing log (see src/scripts/importCsv.js). Rows whose
+  // message ID is already in the table are skipped, so entries logged after
+  // switching backends are not doubled. Imports are not mirrored.
+  importRows(rows, source) {
+    this.ensureSchema();
+    const messageIdIndex = COLUMNS.indexOf('message_id');
+    const existing = new Set(
+      this.db
+        .prepare(`SELECT DISTINCT message_id FROM ${this.table} WHERE message_id != ''`)
+        .pluck()
+        .all()
+    );
+    const fresh = rows.filter((values) => !values[messageIdIndex] || !existing.has(values[messageIdIndex]));
+
+    this.db.transaction(() => {
+      this.insertRows(fresh);
+      this.db
+        .prepare('INSERT OR REPLACE INTO imports (source, log, rows, imported_at) VALUES (?, ?, ?, ?)')
+        .run(source, this.table, fresh.length, new Date().toISOString());
+    })();
+    logger.info(
+      'SqliteLog',
+      `Imported ${fresh.length} row(s) from ${source} into table ${this.table} (${rows.length - fresh.length} already present)`
+    );
+    return { imported: fresh.length, skipped: rows.length - fresh.length };
+  }
+}
+
+module.exports = SqliteExpenseLog;
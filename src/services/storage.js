@@ -0,0 +1,83 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const SheetsService = require('./sheets');
+
+const BACKENDS = ['sheets', 'sqlite'];
+
+// Every expense log implements the same interface, which is all the rest of
+// the bot relies on:
+//   appendExpense(expense, metadata) / appendExpenses(expenses, metadata)
+//   listExpenses({ from, to })             rows as records, oldest first
+//   findExpensesByMessageId(messageId)     [{ index, values, expense }]
+//   deleteExpensesByMessageId(messageId, { item })
+//   updateExpenseByMessageId(messageId, changes, { item })
+// "sheets" is Google Sheets when it is configured and the local CSV file
+// otherwise; "sqlite" keeps rows in a SQLite database and can mirror them to
+// Google Sheets.
+function normalizeBackend(backend) {
+  const name = String(backend || 'sheets').trim().toLowerCase();
+  if (BACKENDS.includes(name)) {
+    return name;
+  }
+  logger.warn('Storage', `Unknown STORAGE_BACKEND "${backend}"; using sheets`);
+  return 'sheets';
+}
+
+// Table for a routed log target in the shared SQLite database, e.g.
+// "expenses_household" for a target with tabName "Household".
+function tableName(target) {
+  if (!target) {
+    return 'expenses';
+  }
+  const parts = [
+    target.spreadsheetId,
+    target.tabName,
+    target.csvPath && path.basename(target.csvPath, path.extname(target.csvPath)),
+  ].filter(Boolean);
+  const slug = parts
+    .join('_')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return slug ? `expenses_${slug}` : 'expenses';
+}
+
+// Where a log keeps its rows, so two targets that name the same sheet tab,
+// CSV file or table share one log (and are not counted twice).
+function logIdentity({ storage, googleSheetsConfig, localCsvPath, target = null }) {
+  if (normalizeBackend(storage?.backend) === 'sqlite') {
+    return `sqlite:${tableName(target)}`;
+  }
+  if (googleSheetsConfig?.spreadsheetId && googleSheetsConfig?.serviceAccount) {
+    return `sheets:${googleSheetsConfig.spreadsheetId}|${googleSheetsConfig.tabName || ''}`;
+  }
+  return `csv:${path.resolve(localCsvPath || '')}`;
+}
+
+// `mirrorRetries` only applies to SQLite logs with a Google Sheets mirror
+// (see SqliteExpenseLog).
+function createExpenseLog({ storage, googleSheetsConfig, localCsvPath, target = null, mirrorRetries = null }) {
+  const backend = normalizeBackend(storage?.backend);
+  if (backend === 'sheets') {
+    return new SheetsService({ googleSheetsConfig, localCsvPath });
+  }
+
+  // Loaded on demand so the native SQLite module is only needed when used.
+  const SqliteExpenseLog = require('./sqliteLog');
+  const canMirror = Boolean(googleSheetsConfig?.spreadsheetId && googleSheetsConfig?.serviceAccount);
+  return new SqliteExpenseLog({
+    dbPath: storage.sqlitePath,
+    table: tableName(target),
+    mirror:
+      storage.mirrorToSheets && canMirror ? new SheetsService({ googleSheetsConfig, localCsvPath }) : null,
+    mirrorRetries,
+  });
+}
+
+module.exports = {
+  BACKENDS,
+  createExpenseLog,
+  logIdentity,
+  normalizeBackend,
+  tableName,
+};
@@ -0,0 +1,189 @@
+const { MONTH_NAMES, formatDateFromTimestamp } = require('../utils/date');
+const { formatAmount, formatUnconverted } = require('../utils/format');
+const { countUnconverted, isExpenseRecord, isUnconverted } = require('./rowSchema');
+
+const YEAR_MONTH_REGEX = /^(\d{4})-(\d{1,2})$/;
+const YEAR_REGEX = /^\d{4}$/;
+
+function findMonthIndex(token) {
+  return MONTH_NAMES.findIndex((names) => names.includes(token));
+}
+
+function shiftMonth(yearMonth, delta) {
+  const [year, month] = yearMonth.split('-').map((part) => Number.parseInt(part, 10));
+  const shifted = new Date(Date.UTC(year, month - 1 + delta, 1));
+  return shifted.toISOString().slice(0, 7);
+}
+
+// listExpenses range covering one month; "-31" sorts after every real day.
+function monthRange(yearMonth) {
+  return { from: `${yearMonth}-01`, to: `${yearMonth}-31` };
+}
+
+function formatMonthLabel(yearMonth) {
+  const [year, month] = yearMonth.split('-').map((part) => Number.parseInt(part, 10));
+  const name = MONTH_NAMES[month - 1][0];
+  return `${name.charAt(0).toUpperCase()}${name.slice(1)} ${year}`;
+}
+
+// Turns "/summary" arguments into a filter. Month names without a year pick
+// the most recent such month that is not in the future. Any other words are
+// kept as a category/account filter and resolved against the stored rows.
+function parseSummaryArgs(args, { nowMs = Date.now(), timezone } = {}) {
+  const currentMonth = formatDateFromTimestamp(nowMs, timezone).slice(0, 7);
+  const tokens = args.map((arg) => arg.toLowerCase());
+  let month = currentMonth;
+  let explicitYear = null;
+  let monthIndex = -1;
+  const terms = [];
+
+  for (const token of tokens) {
+    const yearMonth = YEAR_MONTH_REGEX.exec(token);
+    if (yearMonth) {
+      month = `${yearMonth[1]}-${yearMonth[2].padStart(2, '0')}`;
+      continue;
+    }
+    if (YEAR_REGEX.test(token)) {
+      explicitYear = Number.parseInt(token, 10);
+      continue;
+    }
+    if (token === 'last' || token === 'lalu') {
+      month = shiftMonth(currentMonth, -1);
+      continue;
+    }
+    if (token === 'this' || token === 'month' || token === 'bulan' || token === 'ini') {
+      continue;
+    }
+
+    const index = findMonthIndex(token);
+    if (index !== -1) {
+      monthIndex = index;
+      continue;
+    }
+
+    terms.push(token);
+  }
+
+  if (monthIndex !== -1) {
+    const currentYear = Number.parseInt(currentMonth.slice(0, 4), 10);
+    let year = explicitYear || currentYear;
+    const candidate = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+    if (!explicitYear && candidate > currentMonth) {
+      year -= 1;
+    }
+    month = `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+  }
+
+  return {
+    month,
+    term: terms.length > 0 ? terms.join(' ') : null,
+  };
+}
+
+function addTotal(map, key, amount) {
+  const label = key || 'unspecified';
+  map.set(label, (map.get(label) || 0) + amount);
+}
+
+// Totals in `currency`. Rows that could not be converted into it are left
+// out and counted per currency in `unconverted`.
+function aggregateExpenses(expenses, { currency } = {}) {
+  const byCategory = new Map();
+  const byAccount = new Map();
+  const byDay = new Map();
+  const unconverted = countUnconverted(expenses, currency);
+  const included = expenses.filter((expense) => !isUnconverted(expense, currency));
+  let total = 0;
+
+  for (const expense of included) {
+    total += expense.amount;
+    addTotal(byCategory, expense.category, expense.amount);
+    addTotal(byAccount, expense.account, expense.amount);
+    addTotal(byDay, expense.date, expense.amount);
+  }
+
+  return {
+    count: included.length,
+    total,
+    byCategory,
+    byAccount,
+    byDay,
+    unconverted,
+  };
+}
+
+function summarizeExpenses(expenses, { month, term, currency }) {
+  const inMonth = expenses.filter(
+    (expense) =>
+      expense.date &&
+      expense.date.startsWith(month) &&
+      Number.isFinite(expense.amount) &&
+      isExpenseRecord(expense)
+  );
+
+  let filterLabel = null;
+  let selected = inMonth;
+  if (term) {
+    const byCategory = inMonth.filter((expense) => (expense.category || '').toLowerCase() === term);
+    const byAccount = inMonth.filter((expense) => (expense.account || '').toLowerCase() === term);
+    if (byCategory.length > 0) {
+      selected = byCategory;
+      filterLabel = `category: ${byCategory[0].category}`;
+    } else if (byAccount.length > 0) {
+      selected = byAccount;
+      filterLabel = `account: ${byAccount[0].account}`;
+    } else {
+      selected = [];
+      filterLabel = `"${term}"`;
+    }
+  }
+
+  return {
+    month,
+    filterLabel,
+    ...aggregateExpenses(selected, { currency }),
+  };
+}
+
+function formatBreakdown(title, map, currency, { sortByKey = false } = {}) {
+  const entries = [...map.entries()];
+  if (sortByKey) {
+    entries.sort(([left], [right]) => left.localeCompare(right));
+  } else {
+    entries.sort(([, left], [, right]) => right - left);
+  }
+  const lines = entries.map(([label, amount]) => `- ${label}: ${formatAmount(amount, currency)}`);
+  return `${title}:\n${lines.join('\n')}`;
+}
+
+function formatSummary(summary, currency) {
+  const heading = `Summary for ${formatMonthLabel(summary.month)}${
+    summary.filterLabel ? ` (${summary.filterLabel})` : ''
+  }`;
+
+  const unconvertedNote = formatUnconverted(summary.unconverted);
+  if (summary.count === 0) {
+    return [`${heading}\nNo expenses recorded.`, unconvertedNote].filter(Boolean).join('\n\n');
+  }
+
+  return [
+    heading,
+    `Total: ${formatAmount(summary.total, currency)} across ${summary.count} expense(s)`,
+    formatBreakdown('By category', summary.byCategory, currency),
+    formatBreakdown('By account', summary.byAccount, currency),
+    formatBreakdown('By day', summary.byDay, currency, { sortByKey: true }),
+    unconvertedNote,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+module.exports = {
+  aggregateExpenses,
+  formatBreakdown,
+  formatMonthLabel,
+  monthRange,
+  parseSummaryArgs,
+  summarizeExpenses,
+  formatSummary,
+};
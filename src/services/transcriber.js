@@ -0,0 +1,48 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const logger = require('../utils/logger');
+
+const TRANSCRIBE_PROMPT =
+  'Transcribe this voice note word for word in the language it is spoken. Write numbers and amounts as digits (e.g. "25k", "150.000"). Respond with the transcript only, without quotes or commentary.';
+
+// Turns a voice note into text. Any object with the same
+// `transcribe({ base64Data, mimeType })` method can stand in for it.
+class GeminiTranscriber {
+  constructor({ apiKey, model }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is required to initialize GeminiTranscriber');
+    }
+
+    this.client = new GoogleGenerativeAI(apiKey);
+    this.model = this.client.getGenerativeModel({ model: model || 'gemini-1.5-flash' });
+  }
+
+  async transcribe({ base64Data, mimeType }) {
+    let result;
+    try {
+      result = await this.model.generateContent({
+        contents: [
+          {
+            role: 'user',
+            parts: [{ text: TRANSCRIBE_PROMPT }, { inlineData: { data: base64Data, mimeType } }],
+          },
+        ],
+        generationConfig: {
+          temperature: 0,
+        },
+      });
+    } catch (error) {
+      error.retryable = true;
+      throw error;
+    }
+
+    const transcript = result.response.text().trim();
+    if (!transcript) {
+      throw new Error('Voice note transcript was empty');
+    }
+
+    logger.debug('Transcriber', `Transcript: ${transcript}`);
+    return transcript;
+  }
+}
+
+module.exports = GeminiTranscriber;
@@ -0,0 +1,139 @@
+const MULTIPLIERS = {
+  k: 1e3,
+  rb: 1e3,
+  ribu: 1e3,
+  thousand: 1e3,
+  jt: 1e6,
+  juta: 1e6,
+  mio: 1e6,
+  million: 1e6,
+};
+
+// Currencies that are written without minor units, so "25.000" or "25,000"
+// can only be a thousands-separated amount.
+const WHOLE_UNIT_CURRENCIES = new Set(['IDR', 'JPY', 'KRW', 'VND', 'CLP', 'ISK', 'PYG', 'UGX']);
+
+// Currency codes recognized next to an amount. Together with the letter
+// symbols "Rp" and "RM" they may be written directly before the number, as
+// in "Rp25.000", "IDR25000" or "USD12.50".
+const CURRENCY_CODES = [
+  'IDR', 'USD', 'EUR', 'SGD', 'MYR', 'JPY', 'GBP', 'AUD', 'THB', 'CNY', 'HKD',
+  'KRW', 'PHP', 'VND', 'INR', 'CHF', 'CAD', 'NZD', 'TWD', 'SAR', 'AED',
+];
+const CURRENCY_PREFIX_PATTERN = `(?<!\\p{L})(?:rp|rm|${CURRENCY_CODES.join('|')})\\.?`;
+const LETTER_SYMBOLS = { rp: 'IDR', rm: 'MYR' };
+const PREFIX_BEFORE_AMOUNT_REGEX = new RegExp(`(${CURRENCY_PREFIX_PATTERN})\\s*$`, 'iu');
+
+// A number with optional separators, optionally followed by a shorthand
+// multiplier. Used to locate amounts in free text. A number may not start
+// inside a word or right after "25." or "12,", so "Rp25.000" never yields
+// the fragment "000"; a currency prefix directly before it is allowed.
+const AMOUNT_PATTERN =
+  `(?:(?<![\\p{L}\\p{N}]|\\p{N}[.,])|(?<=${CURRENCY_PREFIX_PATTERN}))` +
+  '-?\\d(?:[\\d.,]*\\d)?(?:\\s*(?:ribu|rb|k|thousand|juta|jt|mio|million)(?![\\p{L}\\p{N}]))?';
+
+const separatorCache = new Map();
+
+function getSeparators(locale) {
+  const key = locale || 'en-US';
+  if (!separatorCache.has(key)) {
+    let decimal = '.';
+    try {
+      const part = new Intl.NumberFormat(key).formatToParts(1.5).find(({ type }) => type === 'decimal');
+      decimal = part ? part.value : '.';
+    } catch (error) {
+      decimal = '.';
+    }
+    separatorCache.set(key, { decimal, group: decimal === ',' ? '.' : ',' });
+  }
+  return separatorCache.get(key);
+}
+
+// Decides which separator (if any) marks decimals in a bare number such as
+// "1.250.000", "1,250.50", "12,5" or "25.000".
+function normalizeNumber(digits, { locale, currency, hasMultiplier }) {
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  if (lastDot === -1 && lastComma === -1) {
+    return digits;
+  }
+
+  // Both separators: whichever comes last is the decimal one.
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const group = decimal === '.' ? ',' : '.';
+    return digits.split(group).join('').replace(decimal, '.');
+  }
+
+  const separator = lastDot !== -1 ? '.' : ',';
+  const occurrences = digits.split(separator).length - 1;
+  if (occurrences > 1) {
+    return digits.split(separator).join('');
+  }
+
+  // "1,5jt" and "2.5k" always carry a decimal part.
+  if (hasMultiplier) {
+    return digits.replace(separator, '.');
+  }
+
+  // A single separator followed by exactly three digits is a thousands
+  // separator when the locale groups with it or the currency has no cents.
+  const fraction = digits.slice(digits.indexOf(separator) + 1);
+  if (fraction.length === 3) {
+    const { group } = getSeparators(locale);
+    if (separator === group || WHOLE_UNIT_CURRENCIES.has(String(currency || '').toUpperCase())) {
+      return digits.replace(separator, '');
+    }
+  }
+
+  return digits.replace(separator, '.');
+}
+
+// Parses amounts as people type them: "25rb", "1,5jt", "Rp 25.000",
+// "Rp25.000", "1,250,000", "12.50", "USD12.50", "$ 4.99". Numbers are
+// returned unchanged.
+function parseAmount(value, { locale, currency } = {}) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = String(value).toLowerCase();
+  const match = new RegExp(AMOUNT_PATTERN, 'iu').exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const [, digits, suffix] = /^(-?[\d.,]+)\s*([a-z]*)$/.exec(match[0]) || [];
+  if (!digits) {
+    return null;
+  }
+
+  // A currency written with the amount ("Rp25.000", "USD 12.50") decides
+  // how its separators are read.
+  const prefix = PREFIX_BEFORE_AMOUNT_REGEX.exec(text.slice(0, match.index));
+  const code = prefix ? prefix[1].replace('.', '') : null;
+  const multiplier = suffix ? MULTIPLIERS[suffix] : 1;
+  const parsed = Number.parseFloat(
+    normalizeNumber(digits, {
+      locale,
+      currency: code ? LETTER_SYMBOLS[code] || code.toUpperCase() : currency,
+      hasMultiplier: Boolean(suffix),
+    })
+  );
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+
+  return Math.round(parsed * multiplier * 100) / 100;
+}
+
+module.exports = {
+  AMOUNT_PATTERN,
+  CURRENCY_CODES,
+  CURRENCY_PREFIX_PATTERN,
+  parseAmount,
+};
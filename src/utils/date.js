@@ -0,0 +1,198 @@
+const logger = require('./logger');
+
+const OFFSET_TIMEZONE_REGEX = /^(?:GMT|UTC)([+-])(\d{1,2})(?::(\d{2}))?$/i;
+
+function parseOffsetTimezone(value) {
+  if (!value) {
+    return null;
+  }
+
+  const match = OFFSET_TIMEZONE_REGEX.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const sign = match[1] === '-' ? -1 : 1;
+  const hours = Number.parseInt(match[2], 10);
+  const minutes = match[3] ? Number.parseInt(match[3], 10) : 0;
+
+  if (Number.isNaN(hours) || Number.isNaN(minutes)) {
+    return null;
+  }
+
+  return sign * (hours * 60 + minutes);
+}
+
+function formatDateFromTimestamp(timestampMs, timezone) {
+  const date = new Date(timestampMs);
+
+  try {
+    const formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+    const parts = formatter.formatToParts(date);
+    const partMap = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+    return `${partMap.year}-${partMap.month}-${partMap.day}`;
+  } catch (error) {
+    const offsetMinutes = parseOffsetTimezone(timezone);
+
+    if (offsetMinutes !== null) {
+      const adjusted = new Date(date.getTime() + offsetMinutes * 60 * 1000);
+      return adjusted.toISOString().slice(0, 10);
+    }
+
+    logger.warn(
+      'Date',
+      `Invalid timezone "${timezone}" provided. Falling back to UTC.`
+    );
+    return new Date(timestampMs).toISOString().slice(0, 10);
+  }
+}
+
+const MONTH_NAMES = [
+  ['january', 'jan', 'januari'],
+  ['february', 'feb', 'februari', 'pebruari'],
+  ['march', 'mar', 'maret'],
+  ['april', 'apr'],
+  ['may', 'mei'],
+  ['june', 'jun', 'juni'],
+  ['july', 'jul', 'juli'],
+  ['august', 'aug', 'agustus', 'agu'],
+  ['september', 'sep', 'sept'],
+  ['october', 'oct', 'oktober', 'okt'],
+  ['november', 'nov', 'nop'],
+  ['december', 'dec', 'desember', 'des'],
+];
+
+const WEEKDAY_NAMES = [
+  ['sunday', 'sun', 'minggu'],
+  ['monday', 'mon', 'senin'],
+  ['tuesday', 'tue', 'selasa'],
+  ['wednesday', 'wed', 'rabu'],
+  ['thursday', 'thu', 'kamis'],
+  ['friday', 'fri', 'jumat'],
+  ['saturday', 'sat', 'sabtu'],
+];
+
+function parseWeekday(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (/^[0-6]$/.test(normalized)) {
+    return Number.parseInt(normalized, 10);
+  }
+
+  const index = WEEKDAY_NAMES.findIndex((names) => names.includes(normalized));
+  return index === -1 ? null : index;
+}
+
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const hour = Number.parseInt(match[1], 10);
+  const minute = Number.parseInt(match[2], 10);
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+
+  return { hour, minute };
+}
+
+// Wall-clock parts of an instant in the given timezone. Accepts IANA names
+// and "UTC+7" style offsets like formatDateFromTimestamp does.
+function getZonedParts(timestampMs, timezone) {
+  let partMap;
+  try {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    });
+    partMap = Object.fromEntries(
+      formatter.formatToParts(new Date(timestampMs)).map((p) => [p.type, p.value])
+    );
+  } catch (error) {
+    const offsetMinutes = parseOffsetTimezone(timezone) || 0;
+    const shifted = new Date(timestampMs + offsetMinutes * 60 * 1000);
+    partMap = {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes(),
+      second: shifted.getUTCSeconds(),
+    };
+  }
+
+  const parts = {
+    year: Number(partMap.year),
+    month: Number(partMap.month),
+    day: Number(partMap.day),
+    hour: Number(partMap.hour),
+    minute: Number(partMap.minute),
+    second: Number(partMap.second),
+  };
+  parts.weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+  return parts;
+}
+
+function getTimezoneOffsetMs(timestampMs, timezone) {
+  const parts = getZonedParts(timestampMs, timezone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(timestampMs / 1000) * 1000;
+}
+
+// Converts a wall-clock time in the given timezone to a UTC timestamp.
+function zonedTimeToTimestamp({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstPass = guess - getTimezoneOffsetMs(guess, timezone);
+  return guess - getTimezoneOffsetMs(firstPass, timezone);
+}
+
+// Local wall-clock timestamp ("YYYY-MM-DD HH:mm:ss") that Google Sheets
+// recognizes as a date-time value.
+function formatTimestamp(timestampMs, timezone) {
+  const parts = getZonedParts(timestampMs, timezone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hour)}:${pad(
+    parts.minute
+  )}:${pad(parts.second)}`;
+}
+
+function shiftDate(isoDate, days) {
+  const [year, month, day] = isoDate.split('-').map((part) => Number.parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  MONTH_NAMES,
+  WEEKDAY_NAMES,
+  parseOffsetTimezone,
+  formatDateFromTimestamp,
+  parseWeekday,
+  parseTimeOfDay,
+  getZonedParts,
+  zonedTimeToTimestamp,
+  formatTimestamp,
+  shiftDate,
+};
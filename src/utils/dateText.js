@@ -0,0 +1,232 @@
+const {
+  MONTH_NAMES,
+  formatDateFromTimestamp,
+  getZonedParts,
+  parseWeekday,
+  shiftDate,
+} = require('./date');
+
+// "minggu" also means "week", so it only counts as Sunday in "hari minggu".
+const WEEKDAY_PATTERN =
+  'sunday|monday|tuesday|wednesday|thursday|friday|saturday|senin|selasa|rabu|kamis|jumat|sabtu|(?<=hari\\s+)minggu';
+
+// Relative phrases and how many days before the message they point to.
+const RELATIVE_PHRASES = [
+  { pattern: 'day before yesterday|kemarin lusa|kmrn lusa', days: 2 },
+  { pattern: 'yesterday|kemarin|kemaren|kmrn|kmarin', days: 1 },
+  { pattern: 'today|tonight|this morning|hari ini|tadi(?: pagi| siang| sore| malam)?', days: 0 },
+];
+
+const DAYS_AGO_REGEX = /(?<![\p{L}\p{N}])(\d{1,3})\s*(?:days?\s+ago|hari\s+(?:yang\s+)?lalu)(?![\p{L}\p{N}])/iu;
+const LAST_WEEKDAY_REGEX = new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:(last|on|hari)\\s+)?(${WEEKDAY_PATTERN})(?:\\s+(lalu|kemarin))?(?![\\p{L}\\p{N}])`,
+  'iu'
+);
+
+function weekdayDate(weekday, { timestampMs, timezone, strictlyBefore }) {
+  const today = formatDateFromTimestamp(timestampMs, timezone);
+  const { weekday: currentWeekday } = getZonedParts(timestampMs, timezone);
+  let delta = (currentWeekday - weekday + 7) % 7;
+  if (delta === 0 && strictlyBefore) {
+    delta = 7;
+  }
+  return shiftDate(today, -delta);
+}
+
+// Finds a relative date ("yesterday", "kemarin", "3 days ago", "last friday",
+// "senin") in free text. Dates are resolved against the day the message was
+// sent in the given timezone and never point to the future. Returns the date
+// and the position of the phrase so callers can strip it from descriptions.
+function findRelativeDate(text, { timestampMs, timezone }) {
+  const source = text || '';
+  const today = formatDateFromTimestamp(timestampMs, timezone);
+
+  for (const { pattern, days } of RELATIVE_PHRASES) {
+    const match = new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`, 'iu').exec(source);
+    if (match) {
+      return { date: shiftDate(today, -days), start: match.index, end: match.index + match[0].length };
+    }
+  }
+
+  const daysAgo = DAYS_AGO_REGEX.exec(source);
+  if (daysAgo) {
+    return {
+      date: shiftDate(today, -Number.parseInt(daysAgo[1], 10)),
+      start: daysAgo.index,
+      end: daysAgo.index + daysAgo[0].length,
+    };
+  }
+
+  const weekday = LAST_WEEKDAY_REGEX.exec(source);
+  if (weekday) {
+    const strictlyBefore = Boolean(
+      (weekday[1] && weekday[1].toLowerCase() === 'last') || weekday[3]
+    );
+    return {
+      date: weekdayDate(parseWeekday(weekday[2]), { timestampMs, timezone, strictlyBefore }),
+      start: weekday.index,
+      end: weekday.index + weekday[0].length,
+    };
+  }
+
+  return null;
+}
+
+const MONTH_PATTERN = MONTH_NAMES.flat()
+  .sort((left, right) => right.length - left.length)
+  .join('|');
+const ISO_DATE_REGEX = /(?<![\d])(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?![\d])/;
+// Two-part dates need "/" or "-" so amounts such as "12.50" are not dates.
+const NUMERIC_DATE_REGEX = /(?<![\d.,/-])(\d{1,2})(?:([/-])(\d{1,2})(?:\2(\d{2}|\d{4}))?|\.(\d{1,2})\.(\d{2}|\d{4}))(?![\d.,/-])/;
+const DAY_MONTH_REGEX = new RegExp(
+  `(?<![\\p{L}\\p{N}])(\\d{1,2})\\s+(${MONTH_PATTERN})(?:\\s+(\\d{4}))?(?![\\p{L}\\p{N}])`,
+  'iu'
+);
+const MONTH_DAY_REGEX = new RegExp(
+  `(?<![\\p{L}\\p{N}])(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?![\\p{L}\\p{N}])`,
+  'iu'
+);
+// "tanggal 5", "tgl. 12" or "on the 5th" name only the day of the month.
+const DAY_OF_MONTH_REGEX =
+  /(?<![\p{L}\p{N}])(?:(?:tanggal|tgl\.?)\s+(\d{1,2})|(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th))(?![\p{L}\p{N}])/iu;
+
+function findMonth(name) {
+  return MONTH_NAMES.findIndex((names) => names.includes(name.toLowerCase())) + 1;
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// A date written without a year means its most recent occurrence.
+function completeYear(year, month, day, today) {
+  if (year) {
+    return toIsoDate(year < 100 ? 2000 + year : year, month, day);
+  }
+  const currentYear = Number.parseInt(today.slice(0, 4), 10);
+  const candidate = toIsoDate(currentYear, month, day);
+  return candidate && candidate > today ? toIsoDate(currentYear - 1, month, day) : candidate;
+}
+
+// A day without a month means its most recent occurrence: this month, or an
+// earlier one when that day is still ahead or the month is too short.
+function completeMonth(day, today) {
+  let year = Number.parseInt(today.slice(0, 4), 10);
+  let month = Number.parseInt(today.slice(5, 7), 10);
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    const candidate = toIsoDate(year, month, day);
+    if (candidate && candidate <= today) {
+      return candidate;
+    }
+    month -= 1;
+    if (month === 0) {
+      month = 12;
+      year -= 1;
+    }
+  }
+  return null;
+}
+
+// "DMY" or "MDY", following how the locale writes numeric dates.
+function getDateOrder(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(Date.UTC(2000, 10, 22)));
+    const types = parts.map(({ type }) => type);
+    return types.indexOf('month') < types.indexOf('day') ? 'MDY' : 'DMY';
+  } catch (error) {
+    return 'MDY';
+  }
+}
+
+function orderParts(first, second, order) {
+  return order === 'MDY' ? { month: first, day: second } : { month: second, day: first };
+}
+
+// Finds a written date: "2024-03-12", "12/03", "12-03-2024", "12.03.24",
+// "12 Maret", "March 12th, 2024", "tanggal 5". Numeric dates follow `order`.
+function findExplicitDate(text, { order, timestampMs, timezone, today: knownToday }) {
+  const source = text || '';
+  const today = knownToday || formatDateFromTimestamp(timestampMs, timezone);
+  const toNumber = (value) => (value ? Number.parseInt(value, 10) : null);
+
+  const iso = ISO_DATE_REGEX.exec(source);
+  if (iso) {
+    const date = toIsoDate(toNumber(iso[1]), toNumber(iso[2]), toNumber(iso[3]));
+    if (date) {
+      return { date, start: iso.index, end: iso.index + iso[0].length };
+    }
+  }
+
+  const numeric = NUMERIC_DATE_REGEX.exec(source);
+  if (numeric) {
+    const second = numeric[3] || numeric[5];
+    const year = numeric[4] || numeric[6];
+    const { month, day } = orderParts(toNumber(numeric[1]), toNumber(second), order);
+    const date = completeYear(toNumber(year), month, day, today);
+    if (date) {
+      return { date, start: numeric.index, end: numeric.index + numeric[0].length };
+    }
+  }
+
+  for (const [regex, dayIndex, monthIndex] of [
+    [DAY_MONTH_REGEX, 1, 2],
+    [MONTH_DAY_REGEX, 2, 1],
+  ]) {
+    const match = regex.exec(source);
+    if (match) {
+      const date = completeYear(toNumber(match[3]), findMonth(match[monthIndex]), toNumber(match[dayIndex]), today);
+      if (date) {
+        return { date, start: match.index, end: match.index + match[0].length };
+      }
+    }
+  }
+
+  const dayOfMonth = DAY_OF_MONTH_REGEX.exec(source);
+  if (dayOfMonth) {
+    const date = completeMonth(toNumber(dayOfMonth[1] || dayOfMonth[2]), today);
+    if (date) {
+      return { date, start: dayOfMonth.index, end: dayOfMonth.index + dayOfMonth[0].length };
+    }
+  }
+
+  return null;
+}
+
+function findDateInText(text, options) {
+  return findRelativeDate(text, options) || findExplicitDate(text, options);
+}
+
+// Normalizes a date string returned by the model: ISO dates pass through and
+// slash/dash/dot dates are read in the configured order.
+function parseDateString(value, { order, today }) {
+  if (!value) {
+    return null;
+  }
+  const match = findExplicitDate(String(value), { order, today });
+  return match ? match.date : null;
+}
+
+// 'future' when the date is after the message day, 'past' when it is more
+// than maxPastDays before it, otherwise null.
+function checkDateRange(date, { today, maxPastDays }) {
+  if (date > today) {
+    return 'future';
+  }
+  if (maxPastDays > 0 && date < shiftDate(today, -maxPastDays)) {
+    return 'past';
+  }
+  return null;
+}
+
+module.exports = {
+  checkDateRange,
+  findDateInText,
+  findExplicitDate,
+  findRelativeDate,
+  getDateOrder,
+  parseDateString,
+};
@@ -0,0 +1,77 @@
+const { AMOUNT_PATTERN, parseAmount } = require('./amount');
+
+const ACCOUNT_OVERRIDE_REGEX = /\bacc:([a-z0-9 _-]+)/i;
+const ACCOUNT_OVERRIDE_STRIP_REGEX = /\bacc:[a-z0-9 _-]+/gi;
+
+function extractAccountDirective(sourceText) {
+  if (!sourceText) {
+    return { accountOverride: null, cleanedText: '' };
+  }
+
+  const match = ACCOUNT_OVERRIDE_REGEX.exec(sourceText);
+  const accountOverride = match ? match[1].trim() : null;
+  const cleanedText = sourceText
+    .replace(ACCOUNT_OVERRIDE_STRIP_REGEX, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  return {
+    accountOverride: accountOverride || null,
+    cleanedText,
+  };
+}
+
+// "split with Andi and Budi", "bagi sama Andi 120k, Budi 80k",
+// "split with andi 30%, budi 30%": everything after the keyword up to the
+// end of the line names the other people and, optionally, their shares.
+const SPLIT_REGEX = /(?:^|\s)(?:split|bagi|patungan)\s+(?:with|dengan|sama|bareng)\s+([^\n]+)/i;
+// Commas inside numbers ("25,5%", "120,000") do not separate people.
+const SPLIT_SEPARATOR_REGEX = /\s*(?:,(?!\d)|;|&|\s(?:and|dan)\s)\s*/i;
+const SPLIT_PART_REGEX = new RegExp(
+  `^(.*?[\\p{L}][^\\d%]*?)(?:\\s+(?:(\\d+(?:[.,]\\d+)?)\\s*%|(${AMOUNT_PATTERN})))?$`,
+  'iu'
+);
+const SELF_NAMES = ['me', 'aku', 'saya', 'gue', 'gw', 'myself'];
+
+function parseSplitParticipant(part, options) {
+  const match = SPLIT_PART_REGEX.exec(part.trim());
+  if (!match) {
+    return null;
+  }
+
+  const name = match[1].trim().toLowerCase();
+  return {
+    name: SELF_NAMES.includes(name) ? null : name,
+    self: SELF_NAMES.includes(name),
+    percent: match[2] ? Number.parseFloat(match[2].replace(',', '.')) : null,
+    amount: match[3] ? parseAmount(match[3], options) : null,
+  };
+}
+
+// Removes a split clause from the text before it is parsed, so shares such
+// as "Andi 120k" are not read as separate expenses.
+function extractSplitDirective(sourceText, options = {}) {
+  const match = SPLIT_REGEX.exec(sourceText || '');
+  if (!match) {
+    return { split: null, cleanedText: sourceText || '' };
+  }
+
+  const participants = match[1]
+    .split(SPLIT_SEPARATOR_REGEX)
+    .filter((part) => part.trim())
+    .map((part) => parseSplitParticipant(part, options));
+  if (participants.length === 0 || participants.some((participant) => !participant)) {
+    return { split: null, cleanedText: sourceText };
+  }
+
+  const cleanedText = `${sourceText.slice(0, match.index)} ${sourceText.slice(match.index + match[0].length)}`
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+  return { split: { participants }, cleanedText };
+}
+
+module.exports = {
+  extractAccountDirective,
+  extractSplitDirective,
+};
@@ -0,0 +1,25 @@
+function formatAmount(amount, currency) {
+  try {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+    }).format(amount);
+  } catch (error) {
+    return `${amount} ${currency}`;
+  }
+}
+
+// "2 row(s) in SGD and 1 row(s) in USD not converted" for a Map of
+// currency => row count; null when the map is empty.
+function formatUnconverted(counts) {
+  if (!counts || counts.size === 0) {
+    return null;
+  }
+  const parts = [...counts.entries()].map(([currency, count]) => `${count} row(s) in ${currency}`);
+  return `${parts.join(' and ')} not converted (no exchange rate); left out of the totals.`;
+}
+
+module.exports = {
+  formatAmount,
+  formatUnconverted,
+};
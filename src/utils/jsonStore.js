@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Small JSON file used for bot state (schedules, queues, settings edited from
+// chat). Writes go through a temp file and are serialized so concurrent
+// updates cannot interleave.
+class JsonStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+    this.defaults = defaults;
+    this.data = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  read() {
+    if (this.data) {
+      return this.data;
+    }
+
+    const initial = JSON.parse(JSON.stringify(this.defaults));
+    if (!fs.existsSync(this.filePath)) {
+      this.data = initial;
+      return this.data;
+    }
+
+    try {
+      const contents = fs.readFileSync(this.filePath, 'utf8');
+      this.data = { ...initial, ...JSON.parse(contents) };
+    } catch (error) {
+      const backupPath = this.setAsideUnreadable(error);
+      logger.error(
+        'JsonStore',
+        `Unable to read ${this.filePath}; moved it to ${backupPath} and starting from defaults`,
+        error
+      );
+      this.data = initial;
+    }
+
+    return this.data;
+  }
+
+  // Moves an unreadable file out of the way so the next write does not
+  // replace it; it may still hold state worth recovering by hand. When even
+  // that fails the store refuses to load rather than overwrite the file.
+  setAsideUnreadable(readError) {
+    const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(this.filePath, backupPath);
+    } catch (error) {
+      throw new Error(`Unable to read ${this.filePath} (${readError.message}) or move it aside (${error.message})`);
+    }
+    return backupPath;
+  }
+
+  async update(mutator) {
+    const run = async () => {
+      const data = this.read();
+      const result = await mutator(data);
+      await this.persist();
+      return result;
+    };
+
+    const next = this.writeChain.then(run, run);
+    this.writeChain = next.catch(() => {});
+    return next;
+  }
+
+  async persist() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(this.data, null, 2)}\n`, 'utf8');
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;